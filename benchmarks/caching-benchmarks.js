@@ -2,6 +2,8 @@ const { MongoClient } = require('mongodb');
 const Redis = require('redis');
 const Benchmark = require('benchmark');
 const microtime = require('microtime');
+const { runBenchmarkSuite, deferred } = require('./runner');
+const { createRng, createWorkload, workloadFromEnv, describeWorkload } = require('./workload');
 
 const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/benchmark_db';
 const mongoClient = new MongoClient(mongoUri);
@@ -33,10 +35,19 @@ class LRUCache {
     }
     this.cache.set(key, value);
   }
+
+  delete(key) {
+    this.cache.delete(key);
+  }
 }
 
 const lruCache = new LRUCache(1000);
 
+// Which users are requested, and how many requests are writes; the dataset
+// has one user per key (WORKLOAD_* variables override the defaults)
+const workloadParameters = workloadFromEnv({ keys: 10000, distribution: 'zipfian', readRatio: 0.95 });
+const dataRng = createRng(workloadParameters.seed);
+
 // Setup test data
 async function setupData() {
   try {
@@ -47,13 +58,13 @@ async function setupData() {
     await db.collection('users').deleteMany({});
     
     // Insert test data
-    const users = Array.from({ length: 10000 }, (_, i) => ({
+    const users = Array.from({ length: workloadParameters.keys }, (_, i) => ({
       _id: i,
       name: `User ${i}`,
       email: `user${i}@example.com`,
       profile: {
-        age: Math.floor(Math.random() * 50) + 18,
-        city: ['New York', 'London', 'Tokyo', 'Paris', 'Berlin'][Math.floor(Math.random() * 5)],
+        age: dataRng.int(50) + 18,
+        city: dataRng.pick(['New York', 'London', 'Tokyo', 'Paris', 'Berlin']),
         interests: Array.from({ length: 5 }, (_, j) => `Interest ${j}`)
       }
     }));
@@ -62,78 +73,96 @@ async function setupData() {
     console.log('Test data setup completed');
   } catch (err) {
     console.error('Setup error:', err);
-    process.exit(1);
+    throw err;
   }
 }
 
-// Benchmark different caching strategies
-async function runCachingBenchmarks() {
-  const db = mongoClient.db();
-  const suite = new Benchmark.Suite;
+// One caching strategy under the workload: reads go through the cache
+// (cache-aside), writes update MongoDB and invalidate the cached user. Every
+// case replays the same key sequence and reports its hit rate.
+function cacheCase(name, cache) {
+  const users = mongoClient.db().collection('users');
+  const workload = createWorkload(workloadParameters);
+  const counts = { hits: 0, misses: 0, writes: 0 };
 
-  // 1. No Cache vs Different Cache Types
-  suite.add('No cache', {
-    defer: true,
-    fn: async (deferred) => {
-      const userId = Math.floor(Math.random() * 10000);
-      await db.collection('users').findOne({ _id: userId });
-      deferred.resolve();
-    }
-  })
-  .add('In-memory cache', {
-    defer: true,
-    fn: async (deferred) => {
-      const userId = Math.floor(Math.random() * 10000);
+  return {
+    name,
+    fn: async () => {
+      const userId = workload.nextKey();
       const cacheKey = `user:${userId}`;
-      
-      if (memoryCache.has(cacheKey)) {
-        memoryCache.get(cacheKey);
-      } else {
-        const user = await db.collection('users').findOne({ _id: userId });
-        memoryCache.set(cacheKey, user);
+
+      if (workload.nextOp() === 'write') {
+        counts.writes++;
+        await users.updateOne({ _id: userId }, { $inc: { 'profile.age': 1 } });
+        if (cache) await cache.delete(cacheKey);
+        return;
       }
-      deferred.resolve();
-    }
-  })
-  .add('Redis cache', {
-    defer: true,
-    fn: async (deferred) => {
-      const userId = Math.floor(Math.random() * 10000);
-      const cacheKey = `user:${userId}`;
-      
-      const cached = await redisClient.get(cacheKey);
-      if (cached) {
-        JSON.parse(cached);
-      } else {
-        const user = await db.collection('users').findOne({ _id: userId });
-        await redisClient.setEx(cacheKey, CACHE_TTL, JSON.stringify(user));
+      if (!cache) {
+        await users.findOne({ _id: userId });
+        return;
       }
-      deferred.resolve();
-    }
-  })
-  .add('LRU cache', {
-    defer: true,
-    fn: async (deferred) => {
-      const userId = Math.floor(Math.random() * 10000);
-      const cacheKey = `user:${userId}`;
-      
-      let user = lruCache.get(cacheKey);
-      if (!user) {
-        user = await db.collection('users').findOne({ _id: userId });
-        lruCache.set(cacheKey, user);
+
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        counts.hits++;
+        return;
       }
-      deferred.resolve();
-    }
-  });
+      counts.misses++;
+      const user = await users.findOne({ _id: userId });
+      await cache.set(cacheKey, user);
+    },
+    stats: () => {
+      const reads = counts.hits + counts.misses;
+      return {
+        hitRate: reads > 0 ? Number((counts.hits / reads).toFixed(3)) : 0,
+        writes: counts.writes,
+      };
+    },
+  };
+}
 
-  // Run benchmarks
-  suite.on('cycle', (event) => {
-    console.log(String(event.target));
-  })
-  .on('complete', function() {
-    console.log('Fastest is ' + this.filter('fastest').map('name'));
-  })
-  .run({ async: true });
+// Caching strategy cases, shared by the Benchmark.js suite below and
+// run-benchmarks.js
+function cachingCases() {
+  // 1. No Cache vs Different Cache Types
+  return [
+    cacheCase('No cache', null),
+    cacheCase('In-memory cache', {
+      get: async (key) => memoryCache.get(key),
+      set: async (key, user) => memoryCache.set(key, user),
+      delete: async (key) => memoryCache.delete(key),
+    }),
+    cacheCase('Redis cache', {
+      get: async (key) => {
+        const cached = await redisClient.get(key);
+        return cached && JSON.parse(cached);
+      },
+      set: (key, user) => redisClient.setEx(key, CACHE_TTL, JSON.stringify(user)),
+      delete: (key) => redisClient.del(key),
+    }),
+    cacheCase('LRU cache', {
+      get: async (key) => lruCache.get(key),
+      set: async (key, user) => lruCache.set(key, user),
+      delete: async (key) => lruCache.delete(key),
+    })
+  ];
+}
+
+// Benchmark different caching strategies
+async function runCachingBenchmarks() {
+  const suite = new Benchmark.Suite;
+  const cases = cachingCases();
+  for (const { name, fn } of cases) {
+    suite.add(name, deferred(fn));
+  }
+
+  // Wait for the suite to finish before the timed benchmarks start
+  await runBenchmarkSuite(suite);
+
+  for (const { name, stats } of cases) {
+    const { hitRate, writes } = stats();
+    console.log(`${name}: hit rate ${(hitRate * 100).toFixed(1)}%, ${writes} writes`);
+  }
 }
 
 // Time-based cache performance tests
@@ -144,7 +173,7 @@ async function runTimedCacheBenchmarks() {
   console.log('\nRunning timed cache benchmarks...');
 
   // 1. Cache Hit Performance
-  const userId = Math.floor(Math.random() * 10000);
+  const userId = dataRng.int(workloadParameters.keys);
   const user = await db.collection('users').findOne({ _id: userId });
   
   // Warm up caches
@@ -209,7 +238,7 @@ async function runMemoryUsageBenchmarks() {
 async function runAllBenchmarks() {
   try {
     await setupData();
-    console.log('\nRunning caching benchmarks...');
+    console.log(`\nRunning caching benchmarks (workload: ${describeWorkload(workloadParameters)})...`);
     await runCachingBenchmarks();
     await runTimedCacheBenchmarks();
     await runMemoryUsageBenchmarks();
@@ -221,5 +250,19 @@ async function runAllBenchmarks() {
   }
 }
 
+// Suite for run-benchmarks.js
+module.exports = {
+  name: 'caching',
+  setup: setupData,
+  teardown: async () => {
+    await mongoClient.close();
+    await redisClient.quit();
+  },
+  cases: cachingCases,
+  workload: workloadParameters,
+};
+
 // Execute benchmarks
-runAllBenchmarks(); 
\ No newline at end of file
+if (require.main === module) {
+  runAllBenchmarks();
+} 
\ No newline at end of file
@@ -0,0 +1,389 @@
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const autocannon = require('autocannon');
+const { MongoClient } = require('mongodb');
+const indexManifest = require('../database-optimization/mongodb-examples/indexes');
+const { planIndexSync, applyIndexSync } = require('../database-optimization/mongodb-examples/index-sync');
+const { createRng, createWorkload, workloadFromEnv, describeWorkload } = require('./workload');
+
+// End-to-end load test of the mongodb-examples API. Seeds a dataset, then
+// runs every scenario with autocannon against the app started once per mode
+// the scenario compares, warming it up first, and reports latency
+// percentiles, throughput, error rate and cache hit rate:
+//   user    GET /users/:userId per cache backend (CACHE_BACKEND)
+//   stats   GET /stats per stats mode (STATS_MODE); the cache backend
+//           doesn't affect it
+//
+//   node load-test.js [options]
+//
+//   --modes <list>        cache backends to compare (default none,lru,redis,tiered)
+//   --stats-modes <list>  stats modes to compare (default live,cached,materialized)
+//   --scenarios <list>    user, stats (default both)
+//   --connections <n>     concurrent connections (default 50)
+//   --duration <s>        seconds per scenario (default 10)
+//   --warmup <s>          unmeasured seconds before each scenario (default 2)
+//   --no-seed             reuse the data already in the database
+//   --json                print the JSON report to stdout instead of a table
+//   --out <file>          also write the JSON report to a file
+//
+// The app needs its dependencies installed (npm install in
+// database-optimization/mongodb-examples). Redis-backed modes use
+// LOAD_TEST_REDIS_URL (default redis://localhost:6379). memory://, the app's
+// in-process stand-in, works without a Redis server, but each app process
+// then has its own, so those rows are labelled in-process.
+// Users are requested following the workload's key distribution
+// (WORKLOAD_* variables, see README).
+
+const APP_DIR = path.join(__dirname, '../database-optimization/mongodb-examples');
+const mongoUri = process.env.LOAD_TEST_MONGODB_URI || 'mongodb://localhost:27017/load_test_db';
+const redisUrl = process.env.LOAD_TEST_REDIS_URL || 'redis://localhost:6379';
+const REDIS_BACKENDS = ['redis', 'tiered'];
+const POSTS_PER_USER = 5;
+const STARTUP_TIMEOUT = 30000;
+
+const workloadParameters = workloadFromEnv({ keys: 10000, distribution: 'zipfian' });
+
+function parseArgs(argv) {
+  const options = {
+    modes: ['none', 'lru', 'redis', 'tiered'],
+    statsModes: ['live', 'cached', 'materialized'],
+    scenarios: ['user', 'stats'],
+    connections: 50,
+    duration: 10,
+    warmup: 2,
+    seed: true,
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => argv[++i];
+    switch (arg) {
+      case '--modes': options.modes = value().split(','); break;
+      case '--stats-modes': options.statsModes = value().split(','); break;
+      case '--scenarios': options.scenarios = value().split(','); break;
+      case '--connections': options.connections = parseInt(value(), 10); break;
+      case '--duration': options.duration = parseFloat(value()); break;
+      case '--warmup': options.warmup = parseFloat(value()); break;
+      case '--no-seed': options.seed = false; break;
+      case '--json': options.json = true; break;
+      case '--out': options.out = value(); break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  for (const scenario of options.scenarios) {
+    if (!scenarios[scenario]) throw new Error(`Unknown scenario "${scenario}" (expected one of: ${Object.keys(scenarios).join(', ')})`);
+  }
+  return options;
+}
+
+// Seeded users (one per workload key) with posts, indexed like the app.
+// Returns the user ids in key order.
+async function seedDatabase(log) {
+  const client = new MongoClient(mongoUri);
+  try {
+    await client.connect();
+    const db = client.db();
+    const rng = createRng(workloadParameters.seed);
+
+    await db.collection('users').deleteMany({});
+    await db.collection('posts').deleteMany({});
+    await applyIndexSync(db, await planIndexSync(db, indexManifest), { rebuild: true });
+
+    const batchSize = 1000;
+    for (let start = 0; start < workloadParameters.keys; start += batchSize) {
+      const count = Math.min(batchSize, workloadParameters.keys - start);
+      const users = Array.from({ length: count }, (_, i) => ({
+        name: `User ${start + i}`,
+        email: `user${start + i}@example.com`,
+        age: rng.int(50) + 18,
+        city: rng.pick(['New York', 'London', 'Tokyo', 'Paris', 'Berlin']),
+      }));
+      const { insertedIds } = await db.collection('users').insertMany(users);
+
+      const posts = [];
+      for (const userId of Object.values(insertedIds)) {
+        for (let j = 0; j < POSTS_PER_USER; j++) {
+          posts.push({
+            userId,
+            title: `Post ${j}`,
+            content: `Content ${j}`,
+            createdAt: new Date(Date.UTC(2024, 0, 1) + rng.int(365 * 24 * 3600 * 1000)),
+          });
+        }
+      }
+      await db.collection('posts').insertMany(posts);
+    }
+    log(`Seeded ${workloadParameters.keys} users with ${POSTS_PER_USER} posts each`);
+    return loadUserIds(db);
+  } finally {
+    await client.close();
+  }
+}
+
+async function loadUserIds(db) {
+  const users = await db.collection('users')
+    .find({}, { projection: { email: 1 } })
+    .toArray();
+  // Key i is user i (user<i>@example.com), so the workload's hot keys are
+  // the same users in every run
+  const ids = new Array(users.length);
+  for (const { _id, email } of users) {
+    const key = parseInt(String(email).slice('user'.length), 10);
+    if (key >= 0 && key < ids.length) ids[key] = _id.toHexString();
+  }
+  return ids.filter(Boolean);
+}
+
+async function existingUserIds() {
+  const client = new MongoClient(mongoUri);
+  try {
+    await client.connect();
+    return await loadUserIds(client.db());
+  } finally {
+    await client.close();
+  }
+}
+
+// Each scenario compares the modes it picks from the options, setting the
+// app's variable to each in turn, and builds the request paths it sends
+const scenarios = {
+  // GET /users/:userId, users picked by the workload's key distribution
+  user: {
+    variable: 'CACHE_BACKEND',
+    modes: (options) => options.modes,
+    paths: (userIds) => {
+      const workload = createWorkload({ ...workloadParameters, keys: userIds.length });
+      return () => `/users/${userIds[workload.nextKey()]}`;
+    },
+  },
+  // GET /stats with a spread of minAge values
+  stats: {
+    variable: 'STATS_MODE',
+    modes: (options) => options.statsModes,
+    paths: () => {
+      const rng = createRng(workloadParameters.seed);
+      return () => `/stats?minAge=${18 + rng.int(50)}`;
+    },
+  },
+};
+
+// Rows measured against a Redis that lives inside the app process aren't
+// comparable with a real Redis, so they say so
+function modeLabel(variable, mode) {
+  const inProcess = variable === 'CACHE_BACKEND' && REDIS_BACKENDS.includes(mode) && redisUrl.startsWith('memory:');
+  return inProcess ? `${mode} (in-process)` : mode;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+// Starts the app with env on top of the defaults and resolves once
+// /health/ready reports ready
+async function startApp(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: APP_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      MONGODB_URI: mongoUri,
+      REDIS_URL: redisUrl,
+      // The load generator is one client; don't let it hit its own limit
+      RATE_LIMIT_ENABLED: 'false',
+      NODE_ENV: 'production',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  // Keep the tail of the app's output for error messages
+  let output = '';
+  const capture = (chunk) => { output = (output + chunk).slice(-4000); };
+  child.stdout.on('data', capture);
+  child.stderr.on('data', capture);
+
+  let exited = null;
+  child.on('exit', (code, signal) => { exited = { code, signal }; });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (exited) throw new Error(`App exited during startup (${exited.code || exited.signal}):\n${output}`);
+    try {
+      if ((await get(`${url}/health/ready`)).status === 200) return { child, url };
+    } catch (err) {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  await stopApp(child);
+  throw new Error(`App wasn't ready after ${STARTUP_TIMEOUT}ms:\n${output}`);
+}
+
+// SIGTERM lets the app drain and close its connections; SIGKILL if it hangs
+function stopApp(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), 15000);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.kill('SIGTERM');
+  });
+}
+
+// cache_requests_total from the app's Prometheus metrics, by result
+async function cacheCounts(url) {
+  const { body } = await get(`${url}/metrics`);
+  const counts = { hit: 0, miss: 0, stale: 0 };
+  for (const match of body.matchAll(/^cache_requests_total\{result="(\w+)"\} (\d+)/gm)) {
+    counts[match[1]] = Number(match[2]);
+  }
+  return counts;
+}
+
+function runAutocannon(url, nextPath, { connections, duration }) {
+  return autocannon({
+    url,
+    connections,
+    duration,
+    requests: [{
+      method: 'GET',
+      setupRequest: (request) => ({ ...request, path: nextPath() }),
+    }],
+  });
+}
+
+function summarize(result, before, after) {
+  const failed = result.errors + result.timeouts + result.non2xx;
+  const attempts = result.requests.total + result.errors + result.timeouts;
+  const reads = (after.hit - before.hit) + (after.miss - before.miss) + (after.stale - before.stale);
+  return {
+    requests: result.requests.total,
+    requestsPerSec: result.requests.average,
+    latencyMs: {
+      mean: result.latency.average,
+      p50: result.latency.p50,
+      p90: result.latency.p90,
+      p99: result.latency.p99,
+      max: result.latency.max,
+    },
+    errors: { connection: result.errors, timeouts: result.timeouts, non2xx: result.non2xx },
+    errorRate: attempts > 0 ? failed / attempts : 0,
+    cacheHitRate: reads > 0 ? (after.hit - before.hit + after.stale - before.stale) / reads : null,
+  };
+}
+
+async function runMode(scenario, mode, userIds, options, log) {
+  const { variable, paths } = scenarios[scenario];
+  log(`\n${scenario}: starting app with ${variable}=${mode}`);
+  const { child, url } = await startApp({ [variable]: mode });
+
+  try {
+    const nextPath = paths(userIds);
+    if (options.warmup > 0) {
+      log(`  warming up for ${options.warmup}s`);
+      await runAutocannon(url, nextPath, { ...options, duration: options.warmup });
+    }
+
+    log(`  ${options.connections} connections for ${options.duration}s`);
+    const before = await cacheCounts(url);
+    const result = await runAutocannon(url, nextPath, options);
+    const after = await cacheCounts(url);
+    return { mode, label: modeLabel(variable, mode), ...summarize(result, before, after) };
+  } finally {
+    await stopApp(child);
+  }
+}
+
+const pct = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+function printReport(report) {
+  for (const [scenario, { variable, results }] of Object.entries(report.scenarios)) {
+    const [base] = results;
+    console.log(`\n${scenario} (${variable})`);
+    console.log(`  ${'mode'.padEnd(20)} ${'req/s'.padStart(9)} ${'p50'.padStart(7)} ${'p90'.padStart(7)} ${'p99'.padStart(7)} ${'errors'.padStart(7)} ${'hits'.padStart(7)}  vs ${base.label}`);
+    for (const result of results) {
+      const speedup = base.requestsPerSec > 0 ? `${(result.requestsPerSec / base.requestsPerSec).toFixed(2)}x` : '-';
+      console.log(
+        `  ${result.label.padEnd(20)} ${result.requestsPerSec.toFixed(0).padStart(9)} ` +
+        `${`${result.latencyMs.p50}ms`.padStart(7)} ${`${result.latencyMs.p90}ms`.padStart(7)} ${`${result.latencyMs.p99}ms`.padStart(7)} ` +
+        `${pct(result.errorRate).padStart(7)} ${pct(result.cacheHitRate).padStart(7)}  ${speedup}`
+      );
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // Progress goes to stderr so --json output stays parseable
+  const log = (message) => process.stderr.write(`${message}\n`);
+
+  const userIds = options.seed ? await seedDatabase(log) : await existingUserIds();
+  if (userIds.length === 0) throw new Error('No users in the database; run without --no-seed');
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    node: process.version,
+    parameters: {
+      modes: options.modes,
+      statsModes: options.statsModes,
+      redisUrl,
+      scenarios: options.scenarios,
+      connections: options.connections,
+      duration: options.duration,
+      warmup: options.warmup,
+      users: userIds.length,
+      workload: workloadParameters,
+    },
+    scenarios: {},
+  };
+  log(`Workload: ${describeWorkload(workloadParameters)}`);
+
+  for (const scenario of options.scenarios) {
+    const { variable, modes } = scenarios[scenario];
+    const results = [];
+    for (const mode of modes(options)) results.push(await runMode(scenario, mode, userIds, options, log));
+    report.scenarios[scenario] = { variable, results };
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  if (options.out) fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+
+  const failed = Object.values(report.scenarios).some(({ results }) => results.some((result) => result.errorRate > 0));
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('Load test error:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,378 @@
+const { EventEmitter } = require('events');
+const { PerformanceObserver, performance, constants } = require('perf_hooks');
+const path = require('path');
+const v8 = require('v8');
+const vm = require('vm');
+
+// Memory leak benchmarks: each leak pattern from memory-management/README.md
+// runs as a leaky and a fixed variant. Heap usage is measured after a forced
+// GC before, halfway through and after the iterations. A variant leaks when
+// the heap keeps growing during the second half; bounded structures (like an
+// LRU cache) fill up in the first half and then stay flat.
+//
+//   node memory-benchmarks.js [--iterations n] [--filter regex] [--heap-snapshot] [--json]
+//
+//   --heap-snapshot   write a heap snapshot after each variant (before cleanup)
+//                     to MEMORY_SNAPSHOT_DIR (default: current directory)
+//
+// kill -USR2 <pid> also writes a snapshot at any point during the run.
+// Exits 1 if a fixed variant leaks.
+
+const LEAK_BYTES_PER_ITERATION = parseInt(process.env.MEMORY_LEAK_THRESHOLD || '100', 10);
+// Roughly 1KB on the heap per retained payload
+const PAYLOAD_LENGTH = 128;
+
+// V8 flags are only set once a measurement starts: run-benchmarks.js
+// requires every suite, and the flags would change V8's behaviour for all of
+// them.
+//   --expose-gc                   for global.gc, unless node was started
+//                                 with it
+//   --semi-space-growth-factor=1  keeps the young generation at its initial
+//                                 size. V8 grows it when most objects survive
+//                                 a scavenge, as in a leaky variant; the
+//                                 variants after that would then allocate
+//                                 without a single scavenge and report no
+//                                 GC pauses.
+let gc = null;
+function setupGc() {
+  v8.setFlagsFromString('--semi-space-growth-factor=1');
+  if (typeof global.gc === 'function') return global.gc;
+  v8.setFlagsFromString('--expose-gc');
+  return vm.runInNewContext('gc');
+}
+
+// A full GC, twice, so objects freed by weak callbacks are collected too
+function forceGc() {
+  if (!gc) gc = setupGc();
+  gc();
+  gc();
+  return process.memoryUsage().heapUsed;
+}
+
+const payload = () => new Array(PAYLOAD_LENGTH).fill(0);
+
+// Every variant returns { run(i), dispose() }. run is one iteration of the
+// application code; dispose releases everything afterwards so the next
+// variant starts from a clean heap (the leaky application never would).
+const variants = [
+  // 1. Event Listeners
+  {
+    pattern: 'Event listeners',
+    name: 'Listener never removed',
+    leaky: true,
+    create() {
+      const bus = new EventEmitter();
+      bus.setMaxListeners(0);
+      return {
+        run() {
+          const component = { data: payload() };
+          bus.on('update', () => component.data.length);
+        },
+        dispose() {
+          bus.removeAllListeners();
+        },
+      };
+    },
+  },
+  {
+    pattern: 'Event listeners',
+    name: 'Listener removed on destroy',
+    leaky: false,
+    create() {
+      const bus = new EventEmitter();
+      return {
+        run() {
+          const component = { data: payload() };
+          const onUpdate = () => component.data.length;
+          bus.on('update', onUpdate);
+          // Component destroyed
+          bus.off('update', onUpdate);
+        },
+        dispose() {
+          bus.removeAllListeners();
+        },
+      };
+    },
+  },
+
+  // 2. Closures: V8 shares one context between all closures created in a
+  // scope, so an unused closure that mentions previous keeps every earlier
+  // value reachable through the one that is kept
+  {
+    pattern: 'Closures',
+    name: 'Shared closure context',
+    leaky: true,
+    create() {
+      let current = null;
+      return {
+        run() {
+          const previous = current;
+          // Never called or kept, but it puts previous in the shared context
+          (() => previous);
+          current = { data: payload(), read: () => current.data.length };
+        },
+        dispose() {
+          current = null;
+        },
+      };
+    },
+  },
+  {
+    pattern: 'Closures',
+    name: 'Closure without outer reference',
+    leaky: false,
+    create() {
+      let current = null;
+      return {
+        run() {
+          const previous = current;
+          if (previous) previous.read();
+          current = { data: payload(), read: () => current.data.length };
+        },
+        dispose() {
+          current = null;
+        },
+      };
+    },
+  },
+
+  // 3. Timers
+  {
+    pattern: 'Timers',
+    name: 'Interval never cleared',
+    leaky: true,
+    create() {
+      const intervals = [];
+      return {
+        run() {
+          const data = payload();
+          const interval = setInterval(() => data.length, 60000);
+          interval.unref();
+          // Only kept so dispose can clean up after the measurement
+          intervals.push(interval);
+        },
+        dispose() {
+          intervals.forEach(clearInterval);
+        },
+      };
+    },
+  },
+  {
+    pattern: 'Timers',
+    name: 'Interval cleared when done',
+    leaky: false,
+    create() {
+      return {
+        run() {
+          const data = payload();
+          const interval = setInterval(() => data.length, 60000);
+          clearInterval(interval);
+        },
+        dispose() {},
+      };
+    },
+  },
+
+  // 4. Caches
+  {
+    pattern: 'Caches',
+    name: 'Unbounded memoize cache',
+    leaky: true,
+    create() {
+      const cache = new Map();
+      return {
+        run(i) {
+          const key = `user:${i}`;
+          if (!cache.has(key)) cache.set(key, payload());
+        },
+        dispose() {
+          cache.clear();
+        },
+      };
+    },
+  },
+  {
+    pattern: 'Caches',
+    name: 'LRU cache (1000 entries)',
+    leaky: false,
+    create() {
+      const maxSize = 1000;
+      const cache = new Map();
+      return {
+        run(i) {
+          const key = `user:${i}`;
+          if (cache.has(key)) {
+            const value = cache.get(key);
+            cache.delete(key);
+            cache.set(key, value);
+            return;
+          }
+          if (cache.size >= maxSize) cache.delete(cache.keys().next().value);
+          cache.set(key, payload());
+        },
+        dispose() {
+          cache.clear();
+        },
+      };
+    },
+  },
+];
+
+// GC entries from perf_hooks. The observer stays connected from the first
+// measurement to the end of the run (reconnecting it per variant loses the
+// entries of every variant but the first), and each variant takes the
+// entries inside its own time window. They are delivered asynchronously,
+// some time after the GC, so a variant reads them once a later entry shows up.
+const gcEntries = [];
+const gcObserver = new PerformanceObserver((list) => {
+  for (const entry of list.getEntries()) {
+    const flags = entry.detail ? entry.detail.flags : entry.flags;
+    gcEntries.push({ start: entry.startTime, duration: entry.duration, forced: (flags & constants.NODE_PERFORMANCE_GC_FLAGS_FORCED) !== 0 });
+  }
+});
+let observingGc = false;
+
+function observeGc() {
+  if (observingGc) return;
+  gcObserver.observe({ entryTypes: ['gc'] });
+  observingGc = true;
+}
+
+function stopObservingGc() {
+  gcObserver.disconnect();
+  observingGc = false;
+  gcEntries.length = 0;
+}
+
+// GC pauses between start and end (forced GCs excluded). Entries before end
+// are dropped afterwards; later variants only look at later windows.
+async function gcPausesBetween(start, end) {
+  // The forced GC after end is reported last; give up waiting after a second
+  const deadline = Date.now() + 1000;
+  while (!gcEntries.some((entry) => entry.start >= end) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+
+  const pauses = gcEntries
+    .filter((entry) => !entry.forced && entry.start >= start && entry.start < end)
+    .map((entry) => entry.duration);
+  while (gcEntries.length > 0 && gcEntries[0].start < end) gcEntries.shift();
+  return {
+    count: pauses.length,
+    totalMs: pauses.reduce((sum, ms) => sum + ms, 0),
+    maxMs: pauses.length > 0 ? Math.max(...pauses) : 0,
+  };
+}
+
+function writeSnapshot(label) {
+  const dir = process.env.MEMORY_SNAPSHOT_DIR || process.cwd();
+  const file = path.join(dir, `${label.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${Date.now()}.heapsnapshot`);
+  v8.writeHeapSnapshot(file);
+  return file;
+}
+
+async function measureVariant(variant, { iterations, heapSnapshot }) {
+  const half = Math.floor(iterations / 2);
+  const instance = variant.create();
+
+  observeGc();
+  const before = forceGc();
+  const start = performance.now();
+  for (let i = 0; i < half; i++) instance.run(i);
+  const middle = forceGc();
+  for (let i = half; i < iterations; i++) instance.run(i);
+  const end = performance.now();
+  const after = forceGc();
+
+  const snapshot = heapSnapshot ? writeSnapshot(`${variant.pattern} ${variant.name}`) : undefined;
+  instance.dispose();
+  const released = forceGc();
+  const gcPauses = await gcPausesBetween(start, end);
+
+  const lateGrowth = after - middle;
+  const bytesPerIteration = lateGrowth / Math.max(iterations - half, 1);
+  return {
+    pattern: variant.pattern,
+    name: variant.name,
+    expectedLeak: variant.leaky,
+    iterations,
+    heapGrowthBytes: after - before,
+    lateGrowthBytes: lateGrowth,
+    bytesPerIteration,
+    releasedBytes: after - released,
+    leaks: bytesPerIteration > LEAK_BYTES_PER_ITERATION,
+    gcPauses,
+    snapshot,
+  };
+}
+
+function parseArgs(argv) {
+  const options = { iterations: 50000, heapSnapshot: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--iterations': options.iterations = parseInt(argv[++i], 10); break;
+      case '--filter': options.filter = new RegExp(argv[++i], 'i'); break;
+      case '--heap-snapshot': options.heapSnapshot = true; break;
+      case '--json': options.json = true; break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`.padStart(10);
+
+function printResult(result) {
+  const verdict = result.leaks ? 'RETAINS' : 'ok';
+  console.log(
+    `${`${result.pattern}: ${result.name}`.padEnd(50)} ${verdict.padEnd(8)}` +
+    `heap ${mb(result.heapGrowthBytes)}  ${result.bytesPerIteration.toFixed(0).padStart(6)} B/iter  ` +
+    `GC ${result.gcPauses.count} pauses, ${result.gcPauses.totalMs.toFixed(1)}ms total, ${result.gcPauses.maxMs.toFixed(1)}ms max`
+  );
+  if (result.snapshot) console.log(`  snapshot: ${result.snapshot}`);
+}
+
+// Run all benchmarks
+async function runAllBenchmarks() {
+  const options = parseArgs(process.argv.slice(2));
+  process.on('SIGUSR2', () => console.error(`Heap snapshot written to ${writeSnapshot('on-demand')}`));
+
+  if (!options.json) console.log(`Running memory benchmarks (${options.iterations} iterations per variant)...\n`);
+  const results = [];
+  for (const variant of variants) {
+    if (options.filter && !options.filter.test(`${variant.pattern}/${variant.name}`)) continue;
+    const result = await measureVariant(variant, options);
+    results.push(result);
+    if (!options.json) printResult(result);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ iterations: options.iterations, thresholdBytesPerIteration: LEAK_BYTES_PER_ITERATION, results }, null, 2));
+  }
+
+  // A fixed variant that retains memory is a regression; a leaky one that
+  // doesn't just means the threshold or iterations need adjusting
+  const unexpected = results.filter((result) => result.leaks !== result.expectedLeak);
+  for (const result of unexpected) {
+    console.error(`Unexpected: ${result.pattern}: ${result.name} ${result.leaks ? 'retains memory' : 'did not retain memory'}`);
+  }
+  if (unexpected.some((result) => !result.expectedLeak)) process.exitCode = 1;
+  stopObservingGc();
+  process.removeAllListeners('SIGUSR2');
+}
+
+module.exports = {
+  variants,
+  measureVariant,
+  forceGc,
+  writeSnapshot,
+};
+
+// Execute benchmarks
+if (require.main === module) {
+  runAllBenchmarks().catch((err) => {
+    console.error('Benchmark error:', err);
+    process.exitCode = 1;
+  });
+}
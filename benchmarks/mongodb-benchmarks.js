@@ -1,17 +1,29 @@
 const { MongoClient } = require('mongodb');
 const Benchmark = require('benchmark');
 const microtime = require('microtime');
+// Same index manifest as the example app, so both query the same indexes
+const indexManifest = require('../database-optimization/mongodb-examples/indexes');
+const { planIndexSync, applyIndexSync } = require('../database-optimization/mongodb-examples/index-sync');
+const { runBenchmarkSuite, deferred } = require('./runner');
+const { createRng, createWorkload, workloadFromEnv, describeWorkload } = require('./workload');
 
 const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/benchmark_db';
 const client = new MongoClient(uri);
 
+// Seeded users (one per workload key) and the key distribution and
+// read/write mix of the workload cases (WORKLOAD_* variables override them)
+const workloadParameters = workloadFromEnv({ keys: 10000, distribution: 'zipfian', readRatio: 0.9 });
+const dataRng = createRng(workloadParameters.seed);
+
 // Test data generation
+// Emails keep counting across calls, since email has a unique index
+let emailSeq = 0;
 const generateUsers = (count) => {
   return Array.from({ length: count }, (_, i) => ({
     name: `User ${i}`,
-    email: `user${i}@example.com`,
-    age: Math.floor(Math.random() * 50) + 18,
-    city: ['New York', 'London', 'Tokyo', 'Paris', 'Berlin'][Math.floor(Math.random() * 5)],
+    email: `user${emailSeq++}@example.com`,
+    age: dataRng.int(50) + 18,
+    city: dataRng.pick(['New York', 'London', 'Tokyo', 'Paris', 'Berlin']),
     posts: Array.from({ length: 5 }, (_, j) => ({
       title: `Post ${j}`,
       content: `Content ${j}`,
@@ -20,6 +32,28 @@ const generateUsers = (count) => {
   }));
 };
 
+// Posts for the pagination cases: one user with a long history, paged the
+// way GET /users/:userId/posts pages, among one post by every other user.
+// Timestamps come in pairs, so _id has to break ties as in the app.
+const pagedPostCount = workloadParameters.keys;
+const generatePosts = (userId, count) => {
+  const newest = Date.now();
+  return Array.from({ length: count }, (_, i) => ({
+    userId,
+    title: `Post ${i}`,
+    content: `Content ${i}`,
+    createdAt: new Date(newest - Math.floor(i / 2) * 60000)
+  }));
+};
+
+// Deep page for the pagination cases (90% into the paged user's posts);
+// boundary is the last post before it, newest first
+const deepOffset = Math.floor(pagedPostCount * 0.9);
+const pageSize = 20;
+const newestFirst = { createdAt: -1, _id: -1 };
+let pagedUserId = null;
+let boundary = null;
+
 async function setupDatabase() {
   try {
     await client.connect();
@@ -30,114 +64,135 @@ async function setupDatabase() {
     await db.collection('posts').deleteMany({});
     
     // Insert test data
-    const users = generateUsers(10000);
-    await db.collection('users').insertMany(users);
+    const users = generateUsers(workloadParameters.keys);
+    const { insertedIds } = await db.collection('users').insertMany(users);
+    const userIds = Object.values(insertedIds);
+    pagedUserId = userIds[0];
+    await db.collection('posts').insertMany([
+      ...generatePosts(pagedUserId, pagedPostCount),
+      ...userIds.slice(1).flatMap((userId) => generatePosts(userId, 1))
+    ]);
     
-    // Create indexes
-    await db.collection('users').createIndex({ email: 1 });
-    await db.collection('users').createIndex({ age: 1 });
-    await db.collection('users').createIndex({ city: 1 });
+    // Create indexes from the shared manifest, rebuilding any that drifted
+    const plan = await planIndexSync(db, indexManifest);
+    await applyIndexSync(db, plan, { rebuild: true });
+
+    // Keyset paging seeks straight past boundary instead of skipping
+    [boundary] = await db.collection('posts')
+      .find({ userId: pagedUserId }, { projection: { createdAt: 1 } })
+      .sort(newestFirst)
+      .skip(deepOffset - 1)
+      .limit(1)
+      .toArray();
     
     console.log('Database setup completed');
   } catch (err) {
     console.error('Setup error:', err);
-    process.exit(1);
+    throw err;
   }
 }
 
 // Benchmark Suites
-async function runQueryBenchmarks() {
+// Query cases, shared by the Benchmark.js suite below and run-benchmarks.js
+function queryCases() {
   const db = client.db();
-  const suite = new Benchmark.Suite;
-  
-  // 1. Simple Query vs Indexed Query
-  suite.add('Query without index', {
-    defer: true,
-    fn: async (deferred) => {
+  const workload = createWorkload(workloadParameters);
+
+  return [
+    // 1. Simple Query vs Indexed Query
+    { name: 'Query without index', fn: async () => {
       await db.collection('users').find({ name: 'User 100' }).toArray();
-      deferred.resolve();
-    }
-  })
-  .add('Query with index', {
-    defer: true,
-    fn: async (deferred) => {
-      await db.collection('users').find({ email: 'user100@example.com' }).toArray();
-      deferred.resolve();
-    }
-  })
-  
-  // 2. Project vs Full Document
-  .add('Full document query', {
-    defer: true,
-    fn: async (deferred) => {
+    } },
+    { name: 'Query with index', fn: async () => {
+      await db.collection('users').find({ email: `user${workload.nextKey()}@example.com` }).toArray();
+    } },
+
+    // 2. Project vs Full Document
+    { name: 'Full document query', fn: async () => {
       await db.collection('users').find({ age: { $gte: 25 } }).toArray();
-      deferred.resolve();
-    }
-  })
-  .add('Projected query', {
-    defer: true,
-    fn: async (deferred) => {
+    } },
+    { name: 'Projected query', fn: async () => {
       await db.collection('users').find(
         { age: { $gte: 25 } },
         { projection: { name: 1, email: 1 } }
       ).toArray();
-      deferred.resolve();
-    }
-  })
-  
-  // 3. Individual vs Bulk Operations
-  .add('Individual inserts', {
-    defer: true,
-    fn: async (deferred) => {
+    } },
+
+    // 3. Individual vs Bulk Operations
+    { name: 'Individual inserts', iterations: 20, fn: async () => {
       const users = generateUsers(100);
       for (const user of users) {
         await db.collection('users').insertOne(user);
       }
-      deferred.resolve();
-    }
-  })
-  .add('Bulk inserts', {
-    defer: true,
-    fn: async (deferred) => {
+    } },
+    { name: 'Bulk inserts', iterations: 20, fn: async () => {
       const users = generateUsers(100);
       await db.collection('users').insertMany(users);
-      deferred.resolve();
-    }
-  })
-  
-  // 4. Regular Aggregation vs Optimized Aggregation
-  .add('Unoptimized aggregation', {
-    defer: true,
-    fn: async (deferred) => {
+    } },
+
+    // 4. Regular Aggregation vs Optimized Aggregation
+    { name: 'Unoptimized aggregation', fn: async () => {
       await db.collection('users').aggregate([
         { $sort: { age: -1 } },
         { $group: { _id: "$city", count: { $sum: 1 } } },
         { $match: { count: { $gt: 10 } } }
       ]).toArray();
-      deferred.resolve();
-    }
-  })
-  .add('Optimized aggregation', {
-    defer: true,
-    fn: async (deferred) => {
+    } },
+    { name: 'Optimized aggregation', fn: async () => {
       await db.collection('users').aggregate([
         { $match: { age: { $gt: 25 } } },
         { $group: { _id: "$city", count: { $sum: 1 } } },
         { $match: { count: { $gt: 10 } } },
         { $sort: { count: -1 } }
       ]).toArray();
-      deferred.resolve();
-    }
-  });
-
-  // Run benchmarks
-  suite.on('cycle', (event) => {
-    console.log(String(event.target));
-  })
-  .on('complete', function() {
-    console.log('Fastest is ' + this.filter('fastest').map('name'));
-  })
-  .run({ async: true });
+    } },
+
+    // 5. Skip/Limit vs Keyset Pagination at a deep offset, over one user's
+    //    posts with the filter and sort of GET /users/:userId/posts (one
+    //    extra post tells whether there's another page)
+    { name: 'Skip/limit paging (deep offset)', fn: async () => {
+      await db.collection('posts')
+        .find({ userId: pagedUserId })
+        .sort(newestFirst)
+        .skip(deepOffset)
+        .limit(pageSize + 1)
+        .toArray();
+    } },
+    { name: 'Keyset paging (deep offset)', fn: async () => {
+      await db.collection('posts')
+        .find({
+          userId: pagedUserId,
+          $or: [
+            { createdAt: { $lt: boundary.createdAt } },
+            { createdAt: boundary.createdAt, _id: { $lt: boundary._id } }
+          ]
+        })
+        .sort(newestFirst)
+        .limit(pageSize + 1)
+        .toArray();
+    } },
+
+    // 6. Workload mix: reads and updates by email, following the workload's
+    //    key distribution and read ratio
+    { name: 'Workload read/write mix', fn: async () => {
+      const email = `user${workload.nextKey()}@example.com`;
+      if (workload.nextOp() === 'read') {
+        await db.collection('users').findOne({ email });
+      } else {
+        await db.collection('users').updateOne({ email }, { $inc: { age: 1 } });
+      }
+    } }
+  ];
+}
+
+async function runQueryBenchmarks() {
+  const suite = new Benchmark.Suite;
+  for (const { name, fn } of queryCases()) {
+    suite.add(name, deferred(fn));
+  }
+
+  // Wait for the suite to finish before moving on (and closing the client)
+  await runBenchmarkSuite(suite);
 }
 
 // Time-based benchmarks for specific operations
@@ -166,7 +221,7 @@ async function runTimedBenchmarks() {
   for (let i = 0; i < 100; i++) {
     await db.collection('users').insertOne({
       name: `Test User ${i}`,
-      email: `test${i}@example.com`
+      email: `test-single${i}@example.com`
     });
   }
   const singleWriteEnd = microtime.now();
@@ -177,7 +232,7 @@ async function runTimedBenchmarks() {
   for (let i = 0; i < 100; i++) {
     bulkOp.insert({
       name: `Test User ${i}`,
-      email: `test${i}@example.com`
+      email: `test-bulk${i}@example.com`
     });
   }
   await bulkOp.execute();
@@ -209,14 +264,77 @@ async function runMemoryBenchmarks() {
   console.log(`Memory for streamed results: ${(streamAfterMemory - streamBaseMemory) / 1024 / 1024} MB`);
 }
 
+// Connection pool size sweep: the same concurrent load against clients with
+// different maxPoolSize values. Too small and operations queue for a
+// connection; past the point where the server is saturated, more connections
+// stop helping.
+async function runPoolSizeBenchmarks() {
+  const poolSizes = [1, 5, 10, 25, 50, 100];
+  const concurrency = 100;
+  const operations = 5000;
+
+  console.log(`\nRunning pool size benchmarks (${concurrency} concurrent workers, ${operations} operations)...`);
+
+  for (const maxPoolSize of poolSizes) {
+    const poolClient = new MongoClient(uri, { maxPoolSize, minPoolSize: 0 });
+    let waitMs = 0;
+    let checkouts = 0;
+    const starts = [];
+    poolClient.on('connectionCheckOutStarted', () => starts.push(microtime.now()));
+    poolClient.on('connectionCheckedOut', () => {
+      const started = starts.shift();
+      if (started !== undefined) waitMs += (microtime.now() - started) / 1000;
+      checkouts++;
+    });
+
+    try {
+      await poolClient.connect();
+      const users = poolClient.db().collection('users');
+      // Same key sequence for every pool size
+      const workload = createWorkload(workloadParameters);
+      const latencies = [];
+      let next = 0;
+
+      const worker = async () => {
+        while (next < operations) {
+          next++;
+          const email = `user${workload.nextKey()}@example.com`;
+          const start = microtime.now();
+          if (workload.nextOp() === 'read') {
+            await users.findOne({ email });
+          } else {
+            await users.updateOne({ email }, { $inc: { age: 1 } });
+          }
+          latencies.push((microtime.now() - start) / 1000);
+        }
+      };
+
+      const start = microtime.now();
+      await Promise.all(Array.from({ length: concurrency }, worker));
+      const seconds = (microtime.now() - start) / 1000000;
+
+      latencies.sort((a, b) => a - b);
+      const p = (q) => latencies[Math.min(latencies.length - 1, Math.floor(q * latencies.length))];
+      console.log(
+        `Pool size ${maxPoolSize}: ${(operations / seconds).toFixed(0)} ops/sec, ` +
+        `p50 ${p(0.5).toFixed(2)}ms, p99 ${p(0.99).toFixed(2)}ms, ` +
+        `avg checkout wait ${(checkouts > 0 ? waitMs / checkouts : 0).toFixed(2)}ms`
+      );
+    } finally {
+      await poolClient.close();
+    }
+  }
+}
+
 // Run all benchmarks
 async function runAllBenchmarks() {
   try {
     await setupDatabase();
-    console.log('\nRunning query benchmarks...');
+    console.log(`\nRunning query benchmarks (workload: ${describeWorkload(workloadParameters)})...`);
     await runQueryBenchmarks();
     await runTimedBenchmarks();
     await runMemoryBenchmarks();
+    await runPoolSizeBenchmarks();
   } catch (err) {
     console.error('Benchmark error:', err);
   } finally {
@@ -224,5 +342,16 @@ async function runAllBenchmarks() {
   }
 }
 
+// Suite for run-benchmarks.js
+module.exports = {
+  name: 'mongo',
+  setup: setupDatabase,
+  teardown: () => client.close(),
+  cases: queryCases,
+  workload: workloadParameters,
+};
+
 // Execute benchmarks
-runAllBenchmarks(); 
\ No newline at end of file
+if (require.main === module) {
+  runAllBenchmarks();
+} 
\ No newline at end of file
@@ -0,0 +1,282 @@
+const http = require('http');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { runSuite } = require('./runner');
+
+// Network benchmarks against a local HTTP server, so they run offline on one
+// machine. The server adds artificial latency to stand in for a real network:
+//   NETWORK_LATENCY_MS          per response (round trip), default 5
+//   NETWORK_CONNECT_LATENCY_MS  per new connection (TCP/TLS handshake), default 10
+//   NETWORK_BANDWIDTH_MBPS      response transfer speed, default 100
+
+const latencyMs = parseInt(process.env.NETWORK_LATENCY_MS || '5', 10);
+const connectLatencyMs = parseInt(process.env.NETWORK_CONNECT_LATENCY_MS || '10', 10);
+const bandwidthMbps = parseFloat(process.env.NETWORK_BANDWIDTH_MBPS || '100');
+
+const USERS_PER_SCENARIO = 20;
+const CONCURRENT_REQUESTS = 50;
+const POOL_SIZE = 10;
+const PAYLOAD_USERS = 2000;
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const gunzip = promisify(zlib.gunzip);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Test data generation
+const makeUser = (id) => ({
+  id,
+  name: `User ${id}`,
+  email: `user${id}@example.com`,
+  city: ['New York', 'London', 'Tokyo', 'Paris', 'Berlin'][id % 5],
+  bio: `User ${id} writes about performance, caching and databases.`
+});
+
+// Large, repetitive JSON like a typical list endpoint, so compression helps
+const payload = JSON.stringify(Array.from({ length: PAYLOAD_USERS }, (_, i) => makeUser(i)));
+
+let server;
+let baseUrl;
+const connections = new Set();
+const stats = { connections: 0, requests: 0 };
+// Agents: keepAlive reuses sockets between requests; maxSockets bounds the pool
+const agents = {};
+
+// Sockets that have already paid the connect latency
+const handshaken = new WeakSet();
+
+// Respond after the round-trip latency plus the time the body would take to
+// transfer at the configured bandwidth. The first response on a connection
+// also pays the connect latency, like a TCP/TLS handshake would.
+async function send(res, status, body, headers = {}) {
+  const transferMs = (body.length * 8) / (bandwidthMbps * 1000);
+  let handshakeMs = 0;
+  if (!handshaken.has(res.socket)) {
+    handshaken.add(res.socket);
+    handshakeMs = connectLatencyMs;
+  }
+  await sleep(latencyMs + handshakeMs + transferMs);
+  res.writeHead(status, { 'Content-Length': body.length, ...headers });
+  res.end(body);
+}
+
+async function compress(body, acceptEncoding = '') {
+  if (/\bbr\b/.test(acceptEncoding)) {
+    return { body: await brotliCompress(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } }), encoding: 'br' };
+  }
+  if (/\bgzip\b/.test(acceptEncoding)) {
+    return { body: await gzip(body), encoding: 'gzip' };
+  }
+  return { body: Buffer.from(body), encoding: null };
+}
+
+async function handle(req, res) {
+  stats.requests++;
+  const url = new URL(req.url, baseUrl);
+
+  const userMatch = url.pathname.match(/^\/users\/(\d+)$/);
+  if (req.method === 'GET' && userMatch) {
+    return send(res, 200, Buffer.from(JSON.stringify(makeUser(Number(userMatch[1])))),
+      { 'Content-Type': 'application/json' });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/users/batch') {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const { ids } = JSON.parse(raw);
+    return send(res, 200, Buffer.from(JSON.stringify(ids.map(makeUser))),
+      { 'Content-Type': 'application/json' });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/payload') {
+    const { body, encoding } = await compress(payload, req.headers['accept-encoding']);
+    const headers = { 'Content-Type': 'application/json', Vary: 'Accept-Encoding' };
+    if (encoding) headers['Content-Encoding'] = encoding;
+    return send(res, 200, body, headers);
+  }
+
+  return send(res, 404, Buffer.from('Not found'));
+}
+
+async function startServer() {
+  server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      res.statusCode = 500;
+      res.end(err.message);
+    });
+  });
+
+  server.on('connection', (socket) => {
+    stats.connections++;
+    connections.add(socket);
+    socket.on('close', () => connections.delete(socket));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+  for (const agent of Object.values(agents)) agent.destroy();
+  for (const socket of connections) socket.destroy();
+  if (server) await new Promise((resolve) => server.close(resolve));
+  server = null;
+}
+
+function createAgents() {
+  agents.keepAlive = new http.Agent({ keepAlive: true, maxSockets: Infinity });
+  agents.pooled = new http.Agent({ keepAlive: true, maxSockets: POOL_SIZE });
+}
+
+// Minimal client: resolves with the status, headers and (decoded) body
+function request(path, { method = 'GET', body, agent, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      // agent: false opens a new connection for this request only
+      agent: agent === undefined ? false : agent,
+      headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        decode(Buffer.concat(chunks), res.headers['content-encoding'])
+          .then((decoded) => resolve({ status: res.statusCode, headers: res.headers, body: decoded }))
+          .catch(reject);
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+async function decode(buffer, encoding) {
+  if (encoding === 'br') return brotliDecompress(buffer);
+  if (encoding === 'gzip') return gunzip(buffer);
+  return buffer;
+}
+
+const userIds = Array.from({ length: USERS_PER_SCENARIO }, (_, i) => i + 1);
+
+// Every case is one complete scenario, e.g. fetching 20 users
+function networkCases() {
+  return [
+    // 1. Individual vs Batched Requests (same keep-alive agent, so only the
+    //    number of round trips differs)
+    { name: `Individual requests (${USERS_PER_SCENARIO} users)`, iterations: 20, warmup: 2, fn: async () => {
+      for (const id of userIds) {
+        await request(`/users/${id}`, { agent: agents.keepAlive });
+      }
+    } },
+    { name: `Batched request (${USERS_PER_SCENARIO} users)`, iterations: 50, warmup: 5, fn: async () => {
+      await request('/users/batch', { method: 'POST', body: { ids: userIds }, agent: agents.keepAlive });
+    } },
+
+    // 2. New Connection per Request vs Keep-Alive Agent
+    { name: `New connections (${USERS_PER_SCENARIO} requests)`, iterations: 20, warmup: 2, fn: async () => {
+      for (const id of userIds) {
+        await request(`/users/${id}`, { agent: false, headers: { Connection: 'close' } });
+      }
+    } },
+    { name: `Keep-alive agent (${USERS_PER_SCENARIO} requests)`, iterations: 20, warmup: 2, fn: async () => {
+      for (const id of userIds) {
+        await request(`/users/${id}`, { agent: agents.keepAlive });
+      }
+    } },
+
+    // 3. Unpooled vs Pooled Sockets under concurrency: unpooled opens a
+    //    socket per request; the pool reuses at most POOL_SIZE sockets
+    { name: `Unpooled sockets (${CONCURRENT_REQUESTS} concurrent)`, iterations: 20, warmup: 2, fn: async () => {
+      await Promise.all(Array.from({ length: CONCURRENT_REQUESTS }, (_, i) =>
+        request(`/users/${i}`, { agent: false, headers: { Connection: 'close' } })));
+    } },
+    { name: `Pooled sockets (${CONCURRENT_REQUESTS} concurrent, max ${POOL_SIZE})`, iterations: 20, warmup: 2, fn: async () => {
+      await Promise.all(Array.from({ length: CONCURRENT_REQUESTS }, (_, i) =>
+        request(`/users/${i}`, { agent: agents.pooled })));
+    } },
+
+    // 4. Uncompressed vs gzip vs Brotli payloads (compression and
+    //    decompression time included)
+    { name: 'Uncompressed payload', iterations: 30, warmup: 3, fn: async () => {
+      await request('/payload', { agent: agents.keepAlive, headers: { 'Accept-Encoding': 'identity' } });
+    } },
+    { name: 'gzip payload', iterations: 30, warmup: 3, fn: async () => {
+      await request('/payload', { agent: agents.keepAlive, headers: { 'Accept-Encoding': 'gzip' } });
+    } },
+    { name: 'Brotli payload', iterations: 30, warmup: 3, fn: async () => {
+      await request('/payload', { agent: agents.keepAlive, headers: { 'Accept-Encoding': 'br' } });
+    } }
+  ];
+}
+
+async function setup() {
+  createAgents();
+  await startServer();
+}
+
+// Response sizes on the wire for each encoding
+async function reportPayloadSizes() {
+  console.log('\nPayload sizes:');
+  for (const encoding of ['identity', 'gzip', 'br']) {
+    const { body } = await compress(payload, encoding);
+    console.log(`  ${encoding.padEnd(8)} ${(body.length / 1024).toFixed(1)} KB`);
+  }
+}
+
+// Run all benchmarks
+async function runAllBenchmarks() {
+  console.log(`Network benchmarks: ${latencyMs}ms latency, ${connectLatencyMs}ms connect latency, ${bandwidthMbps} Mbps\n`);
+  // Connections and requests the server saw for each case
+  const perCase = new Map();
+  let current = null;
+  const snapshot = () => {
+    if (current) {
+      perCase.get(current).connections += stats.connections;
+      perCase.get(current).requests += stats.requests;
+    }
+  };
+  const result = await runSuite(module.exports, {
+    onCase: (suite, name) => {
+      snapshot();
+      current = name;
+      perCase.set(name, { connections: -stats.connections, requests: -stats.requests });
+      console.log(`Running ${name}...`);
+    },
+  });
+  snapshot();
+
+  if (result.error) {
+    console.error('Benchmark error:', result.error);
+    process.exitCode = 1;
+    return;
+  }
+  for (const testCase of result.cases) {
+    if (testCase.error) {
+      console.log(`${testCase.name}: error ${testCase.error}`);
+      continue;
+    }
+    const { p50, p95 } = testCase.latencyMs;
+    const { connections, requests } = perCase.get(testCase.name);
+    console.log(
+      `${testCase.name}: ${testCase.opsPerSec.toFixed(1)} ops/sec, p50 ${p50.toFixed(2)}ms, p95 ${p95.toFixed(2)}ms ` +
+      `(${connections} connections for ${requests} requests)`
+    );
+  }
+  await reportPayloadSizes();
+}
+
+// Suite for run-benchmarks.js
+module.exports = {
+  name: 'network',
+  setup,
+  teardown: stopServer,
+  cases: networkCases,
+};
+
+// Execute benchmarks
+if (require.main === module) {
+  runAllBenchmarks();
+}
@@ -1,18 +1,36 @@
 const Redis = require('ioredis');
 const amqp = require('amqplib');
 const { performance } = require('perf_hooks');
+const { createWorkload, workloadFromEnv } = require('./workload');
 
-// Redis client setup
-const redis = new Redis();
+// Keys and read/write mix for the runner's cases (WORKLOAD_* variables
+// override the defaults)
+const workloadParameters = workloadFromEnv({ keys: 1000, distribution: 'zipfian', readRatio: 0.9 });
+
+// Redis client setup (connects in setupClients, so requiring this file
+// from run-benchmarks.js doesn't open a connection)
+const redis = new Redis({ lazyConnect: true });
 
 // RabbitMQ connection setup
+let rabbitmqConnection;
 let rabbitmqChannel;
 async function setupRabbitMQ() {
-    const connection = await amqp.connect('amqp://localhost');
-    rabbitmqChannel = await connection.createChannel();
+    rabbitmqConnection = await amqp.connect('amqp://localhost');
+    rabbitmqChannel = await rabbitmqConnection.createChannel();
     await rabbitmqChannel.assertQueue('benchmark_queue');
 }
 
+async function setupClients() {
+    await redis.connect();
+    await setupRabbitMQ();
+}
+
+async function closeClients() {
+    await redis.quit();
+    if (rabbitmqChannel) await rabbitmqChannel.close();
+    if (rabbitmqConnection) await rabbitmqConnection.close();
+}
+
 // Redis Benchmarks
 
 async function benchmarkRedisSimpleOps(iterations = 10000) {
@@ -185,10 +203,90 @@ async function benchmarkCacheWithQueue(iterations = 1000) {
     await cleanupPipeline.exec();
 }
 
+// Per-operation cases for run-benchmarks.js, which reports latency
+// percentiles for each one
+function operationCases() {
+    // Each case replays the same key sequence
+    const workload = () => createWorkload(workloadParameters);
+    const setGet = workload();
+    const mix = workload();
+    const mixCounts = { hits: 0, misses: 0 };
+    const hash = workload();
+    const notify = workload();
+
+    return [
+        { name: 'Redis SET + GET', fn: async () => {
+            const key = `runner_key${setGet.nextKey()}`;
+            await redis.set(key, 'value');
+            await redis.get(key);
+        } },
+        { name: 'Redis workload mix (GET/SET)', fn: async () => {
+            const key = `runner_key${mix.nextKey()}`;
+            if (mix.nextOp() === 'write') {
+                await redis.set(key, 'value');
+            } else if (await redis.get(key) === null) {
+                mixCounts.misses++;
+            } else {
+                mixCounts.hits++;
+            }
+        }, stats: () => {
+            const reads = mixCounts.hits + mixCounts.misses;
+            return { hitRate: reads > 0 ? Number((mixCounts.hits / reads).toFixed(3)) : 0 };
+        } },
+        { name: 'Redis pipeline (100 SET + GET)', iterations: 50, fn: async () => {
+            const pipeline = redis.pipeline();
+            for (let j = 0; j < 100; j++) {
+                pipeline.set(`runner_pipeline_key${j}`, 'value');
+                pipeline.get(`runner_pipeline_key${j}`);
+            }
+            await pipeline.exec();
+        } },
+        { name: 'Redis HSET + HGET', fn: async () => {
+            const field = `field${hash.nextKey()}`;
+            await redis.hset('runner_hash', field, 'value');
+            await redis.hget('runner_hash', field);
+        } },
+        { name: 'RabbitMQ publish', fn: async () => {
+            rabbitmqChannel.sendToQueue('runner_queue', Buffer.from('message'));
+        } },
+        { name: 'Cache with queue notify', fn: async () => {
+            const key = `runner_cache_key${notify.nextKey()}`;
+            await redis.set(key, 'value');
+            rabbitmqChannel.sendToQueue('runner_queue',
+                Buffer.from(JSON.stringify({ type: 'CACHE_UPDATE', key })));
+            await redis.get(key);
+        } }
+    ];
+}
+
+// The runner's cases use their own keys and queue, cleaned up afterwards
+async function setupRunner() {
+    await setupClients();
+    await redis.del(...Array.from({ length: workloadParameters.keys }, (_, j) => `runner_key${j}`));
+    await rabbitmqChannel.assertQueue('runner_queue');
+}
+
+async function teardownRunner() {
+    try {
+        const pipeline = redis.pipeline();
+        for (let j = 0; j < workloadParameters.keys; j++) {
+            pipeline.del(`runner_key${j}`, `runner_cache_key${j}`);
+        }
+        for (let j = 0; j < 100; j++) {
+            pipeline.del(`runner_pipeline_key${j}`);
+        }
+        pipeline.del('runner_hash');
+        await pipeline.exec();
+        await rabbitmqChannel.deleteQueue('runner_queue');
+    } finally {
+        await closeClients();
+    }
+}
+
 // Run all benchmarks
 async function runAllBenchmarks() {
     try {
-        await setupRabbitMQ();
+        await setupClients();
         
         console.log('Starting Benchmarks...\n');
         
@@ -208,8 +306,7 @@ async function runAllBenchmarks() {
         console.log('\nBenchmarks completed successfully!');
         
         // Close connections
-        await redis.quit();
-        await rabbitmqChannel.close();
+        await closeClients();
         process.exit(0);
     } catch (error) {
         console.error('Error running benchmarks:', error);
@@ -217,5 +314,16 @@ async function runAllBenchmarks() {
     }
 }
 
+// Suite for run-benchmarks.js
+module.exports = {
+    name: 'redis-rabbitmq',
+    setup: setupRunner,
+    teardown: teardownRunner,
+    cases: operationCases,
+    workload: workloadParameters,
+};
+
 // Run benchmarks
-runAllBenchmarks(); 
\ No newline at end of file
+if (require.main === module) {
+    runAllBenchmarks();
+}
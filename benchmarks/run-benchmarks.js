@@ -0,0 +1,147 @@
+// Runs every discovered benchmark suite and reports machine-readable results.
+//
+//   node run-benchmarks.js [options]
+//
+//   --suite <regex>         only suites whose name matches (others aren't set up)
+//   --filter <regex>        only cases whose "suite/case" name matches
+//   --iterations <n>        measured iterations per case (default 200)
+//   --warmup <n>            unmeasured iterations first (default 20)
+//   --json                  print the JSON report to stdout instead of a table
+//   --out <file>            also write the JSON report to a file
+//   --baseline <file>       compare with a previous report (default baseline.json if present)
+//   --threshold <fraction>  allowed p95/throughput regression (default 0.1)
+//   --update-baseline       write this run's report as the new baseline
+//
+// Exits 1 if a suite or case fails, or a case regresses beyond the threshold.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { runSuite, discoverSuites, compareWithBaseline } = require('./runner');
+const { describeWorkload } = require('./workload');
+
+function parseArgs(argv) {
+  const options = {
+    iterations: 200,
+    warmup: 20,
+    threshold: 0.1,
+    json: false,
+    baseline: path.join(__dirname, 'baseline.json'),
+    updateBaseline: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => argv[++i];
+    switch (arg) {
+      case '--suite': options.suite = new RegExp(value(), 'i'); break;
+      case '--filter': options.filter = new RegExp(value(), 'i'); break;
+      case '--iterations': options.iterations = parseInt(value(), 10); break;
+      case '--warmup': options.warmup = parseInt(value(), 10); break;
+      case '--json': options.json = true; break;
+      case '--out': options.out = value(); break;
+      case '--baseline': options.baseline = value(); break;
+      case '--threshold': options.threshold = parseFloat(value()); break;
+      case '--update-baseline': options.updateBaseline = true; break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+function formatMs(ms) {
+  return ms.toFixed(3).padStart(9);
+}
+
+function printTable(report) {
+  for (const suite of report.suites) {
+    console.log(`\n${suite.suite}${suite.error ? ` (failed: ${suite.error})` : ''}`);
+    if (suite.workload) console.log(`  workload: ${describeWorkload(suite.workload)}`);
+    for (const testCase of suite.cases) {
+      if (testCase.error) {
+        console.log(`  ${testCase.name.padEnd(40)} error: ${testCase.error}`);
+        continue;
+      }
+      const { p50, p95, p99 } = testCase.latencyMs;
+      const extra = testCase.stats
+        ? `  ${Object.entries(testCase.stats).map(([key, value]) => `${key} ${value}`).join(', ')}`
+        : '';
+      console.log(
+        `  ${testCase.name.padEnd(40)} ${testCase.opsPerSec.toFixed(0).padStart(8)} ops/sec` +
+        `  p50 ${formatMs(p50)}ms  p95 ${formatMs(p95)}ms  p99 ${formatMs(p99)}ms${extra}`
+      );
+    }
+  }
+}
+
+function printComparisons(comparisons, threshold) {
+  if (comparisons.length === 0) return;
+  console.log(`\nCompared with baseline (threshold ${(threshold * 100).toFixed(0)}%):`);
+  for (const { case: name, p95Change, throughputChange, regressed } of comparisons) {
+    const pct = (change) => `${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%`;
+    console.log(`  ${regressed ? 'REGRESSED' : 'ok       '} ${name}: p95 ${pct(p95Change)}, throughput ${pct(throughputChange)}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // Progress goes to stderr so --json output stays parseable
+  const log = (message) => process.stderr.write(`${message}\n`);
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    node: process.version,
+    platform: `${os.platform()} ${os.arch()}`,
+    cpus: os.cpus().length,
+    iterations: options.iterations,
+    warmup: options.warmup,
+    suites: [],
+  };
+
+  for (const { file, path: suitePath } of discoverSuites()) {
+    let suite;
+    try {
+      suite = require(suitePath);
+    } catch (err) {
+      report.suites.push({ suite: file, cases: [], error: `failed to load: ${err.message}` });
+      continue;
+    }
+    if (!suite.cases) continue;
+    if (options.suite && !options.suite.test(suite.name)) continue;
+
+    log(`Running ${suite.name} (${file})`);
+    report.suites.push(await runSuite(suite, {
+      ...options,
+      onCase: (suiteName, caseName) => log(`  ${caseName}`),
+    }));
+  }
+
+  let comparisons = [];
+  if (fs.existsSync(options.baseline) && !options.updateBaseline) {
+    const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+    comparisons = compareWithBaseline(report, baseline, options.threshold);
+    report.baseline = { file: options.baseline, threshold: options.threshold, comparisons };
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printTable(report);
+    printComparisons(comparisons, options.threshold);
+  }
+  if (options.out) fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+  if (options.updateBaseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify(report, null, 2));
+    log(`Baseline written to ${options.baseline}`);
+  }
+
+  const failed = report.suites.some((suite) => suite.error || suite.cases.some((testCase) => testCase.error));
+  const regressed = comparisons.some((comparison) => comparison.regressed);
+  if (failed || regressed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('Benchmark runner error:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared benchmark runner. A benchmark file exports a suite:
+//
+//   module.exports = {
+//     name: 'mongo',
+//     setup: async () => {},          // connect, seed data
+//     teardown: async () => {},       // close clients
+//     cases: () => [                  // called after setup
+//       { name: 'Query with index', fn: async () => { ... } },
+//     ],
+//     workload: { ... },              // optional, workload.js parameters
+//   };
+//
+// A case may also have stats(), e.g. a cache hit rate, added to its result.
+//
+// Every case is awaited one operation at a time, so each iteration's latency
+// is measured exactly and nothing is left running when teardown starts.
+
+const now = () => process.hrtime.bigint();
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+function summarize(latenciesMs, elapsedMs) {
+  const sorted = [...latenciesMs].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, ms) => sum + ms, 0);
+  return {
+    iterations: sorted.length,
+    opsPerSec: elapsedMs > 0 ? (sorted.length / elapsedMs) * 1000 : 0,
+    latencyMs: {
+      mean: sorted.length > 0 ? total / sorted.length : 0,
+      min: sorted[0] || 0,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      max: sorted[sorted.length - 1] || 0,
+    },
+  };
+}
+
+async function measure(fn, { iterations = 200, warmup = 20 } = {}) {
+  for (let i = 0; i < warmup; i++) {
+    await fn();
+  }
+
+  const latencies = [];
+  const start = now();
+  for (let i = 0; i < iterations; i++) {
+    const opStart = now();
+    await fn();
+    latencies.push(Number(now() - opStart) / 1e6);
+  }
+  return summarize(latencies, Number(now() - start) / 1e6);
+}
+
+// Runs setup, every case, then teardown even if something failed. Errors are
+// reported in the result rather than thrown so other suites still run.
+async function runSuite(suite, options = {}) {
+  const result = { suite: suite.name, cases: [] };
+  if (suite.workload) result.workload = suite.workload;
+  try {
+    if (suite.setup) await suite.setup();
+    for (const testCase of suite.cases()) {
+      if (options.filter && !options.filter.test(`${suite.name}/${testCase.name}`)) continue;
+      if (options.onCase) options.onCase(suite.name, testCase.name);
+      try {
+        const stats = await measure(testCase.fn, {
+          iterations: testCase.iterations || options.iterations,
+          warmup: testCase.warmup === undefined ? options.warmup : testCase.warmup,
+        });
+        result.cases.push({
+          name: testCase.name,
+          ...stats,
+          ...(testCase.stats ? { stats: testCase.stats() } : {}),
+        });
+      } catch (err) {
+        result.cases.push({ name: testCase.name, error: err.message });
+      }
+    }
+  } catch (err) {
+    result.error = err.message;
+  } finally {
+    try {
+      if (suite.teardown) await suite.teardown();
+    } catch (err) {
+      result.teardownError = err.message;
+    }
+  }
+  return result;
+}
+
+// Every *-benchmarks.js file in dir (except the CLI itself); run-benchmarks.js
+// skips files that don't export a suite
+function discoverSuites(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('-benchmarks.js') && file !== 'run-benchmarks.js')
+    .sort()
+    .map((file) => ({ file, path: path.join(dir, file) }));
+}
+
+function caseKey(suiteName, caseName) {
+  return `${suiteName}/${caseName}`;
+}
+
+// A case regresses when its p95 latency grows, or its throughput drops, by
+// more than threshold (0.1 = 10%) compared with the baseline report
+function compareWithBaseline(report, baseline, threshold = 0.1) {
+  const previous = new Map();
+  for (const suite of baseline.suites || []) {
+    for (const testCase of suite.cases) {
+      if (!testCase.error) previous.set(caseKey(suite.suite, testCase.name), testCase);
+    }
+  }
+
+  const comparisons = [];
+  for (const suite of report.suites) {
+    for (const testCase of suite.cases) {
+      const before = previous.get(caseKey(suite.suite, testCase.name));
+      if (!before || testCase.error) continue;
+
+      const p95Change = before.latencyMs.p95 > 0
+        ? (testCase.latencyMs.p95 - before.latencyMs.p95) / before.latencyMs.p95
+        : 0;
+      const throughputChange = before.opsPerSec > 0
+        ? (testCase.opsPerSec - before.opsPerSec) / before.opsPerSec
+        : 0;
+
+      comparisons.push({
+        case: caseKey(suite.suite, testCase.name),
+        p95Change,
+        throughputChange,
+        regressed: p95Change > threshold || throughputChange < -threshold,
+      });
+    }
+  }
+  return comparisons;
+}
+
+// Benchmark.js suites run asynchronously; resolve once they complete instead
+// of returning while cases are still running
+function runBenchmarkSuite(suite) {
+  return new Promise((resolve, reject) => {
+    suite.on('cycle', (event) => {
+      console.log(String(event.target));
+    })
+    .on('error', (event) => reject(event.target.error))
+    .on('complete', function() {
+      console.log('Fastest is ' + this.filter('fastest').map('name'));
+      resolve();
+    })
+    .run({ async: true });
+  });
+}
+
+// Benchmark.js deferred wrapper around an async case function. A failing
+// case is logged and the suite carries on, but the process exits with
+// status 1, since that case's timings don't mean anything.
+function deferred(fn) {
+  return {
+    defer: true,
+    fn: (deferredRun) => {
+      fn().then(() => deferredRun.resolve(), (err) => {
+        console.error('Benchmark case error:', err);
+        process.exitCode = 1;
+        deferredRun.resolve();
+      });
+    },
+  };
+}
+
+module.exports = {
+  measure,
+  summarize,
+  percentile,
+  runSuite,
+  discoverSuites,
+  compareWithBaseline,
+  runBenchmarkSuite,
+  deferred,
+};
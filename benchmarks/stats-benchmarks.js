@@ -0,0 +1,175 @@
+const { MongoClient } = require('mongodb');
+// The example app's /stats implementation and index manifest, so the
+// benchmark measures exactly what the app runs
+const { UserStats } = require('../database-optimization/mongodb-examples/user-stats');
+const indexManifest = require('../database-optimization/mongodb-examples/indexes');
+const { planIndexSync, applyIndexSync } = require('../database-optimization/mongodb-examples/index-sync');
+const { runSuite } = require('./runner');
+const { createRng, createWorkload, workloadFromEnv, describeWorkload } = require('./workload');
+
+// GET /stats three ways (live aggregation, cached per minAge, materialized
+// collection) at several dataset sizes, plus what keeping the materialized
+// collection up to date costs. Each size gets its own database,
+// <STATS_BENCHMARK_DB_PREFIX>_<size>, which is reused by later runs as long
+// as it still holds that many users (seeding 1M users takes a while).
+//
+//   STATS_BENCHMARK_USERS      comma-separated sizes, default 10000,1000000
+//   STATS_BENCHMARK_DB_PREFIX  default stats_benchmark
+
+const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/benchmark_db';
+const client = new MongoClient(uri);
+const sizes = (process.env.STATS_BENCHMARK_USERS || '10000,1000000').split(',').map(Number);
+const dbPrefix = process.env.STATS_BENCHMARK_DB_PREFIX || 'stats_benchmark';
+
+const CITIES = ['New York', 'London', 'Tokyo', 'Paris', 'Berlin', 'Sydney', 'Toronto', 'Madrid', 'Seoul', 'Mumbai'];
+const MIN_AGE = 18;
+const AGE_RANGE = 50;
+const SEED_BATCH = 10000;
+
+// minAge follows the workload's key distribution over the age range; writes
+// (1 - readRatio) change a user's age, which invalidates the cached results
+const workloadParameters = {
+  ...workloadFromEnv({ distribution: 'zipfian', readRatio: 0.99 }),
+  keys: AGE_RANGE,
+};
+
+const label = (size) => (size >= 1000000 ? `${size / 1000000}M` : size >= 1000 ? `${size / 1000}k` : String(size));
+const dbFor = (size) => client.db(`${dbPrefix}_${size}`);
+
+async function seedUsers(db, size) {
+  const users = db.collection('users');
+  if (await users.estimatedDocumentCount() === size) return false;
+
+  await users.deleteMany({});
+  const rng = createRng(workloadParameters.seed);
+  for (let start = 0; start < size; start += SEED_BATCH) {
+    const count = Math.min(SEED_BATCH, size - start);
+    await users.insertMany(Array.from({ length: count }, (_, i) => ({
+      name: `User ${start + i}`,
+      email: `user${start + i}@example.com`,
+      age: MIN_AGE + rng.int(AGE_RANGE),
+      city: rng.pick(CITIES),
+    })), { ordered: false });
+  }
+  return true;
+}
+
+// One UserStats per mode and size
+const instances = new Map();
+
+async function setup() {
+  await client.connect();
+  for (const size of sizes) {
+    const db = dbFor(size);
+    const seeded = await seedUsers(db, size);
+    await applyIndexSync(db, await planIndexSync(db, indexManifest));
+    console.log(`${label(size)} users ${seeded ? 'seeded' : 'reused'} in ${db.databaseName}`);
+
+    const options = { db: () => db, cacheTtl: 60 * 60 * 1000, refreshInterval: 0 };
+    const materialized = new UserStats({ ...options, mode: 'materialized', materialize: 'incremental' });
+    await materialized.refresh();
+    instances.set(size, {
+      live: new UserStats({ ...options, mode: 'live' }),
+      cached: new UserStats({ ...options, mode: 'cached' }),
+      materialized,
+    });
+  }
+}
+
+async function teardown() {
+  for (const modes of instances.values()) {
+    for (const userStats of Object.values(modes)) await userStats.close();
+  }
+  instances.clear();
+  await client.close();
+}
+
+function statsCases() {
+  const cases = [];
+  for (const size of sizes) {
+    const { live, cached, materialized } = instances.get(size);
+    // Live aggregations over a million users take a while each
+    const slow = size >= 1000000;
+    const iterations = slow ? 10 : 100;
+    const warmup = slow ? 1 : 5;
+    const minAges = createWorkload(workloadParameters);
+    const nextMinAge = () => MIN_AGE + minAges.nextKey();
+
+    cases.push(
+      { name: `Live aggregation (${label(size)} users)`, iterations, warmup, fn: async () => {
+        await live.get(nextMinAge());
+      } },
+      (() => {
+        const workload = createWorkload(workloadParameters);
+        let writes = 0;
+        return { name: `Cached (${label(size)} users)`, iterations: slow ? 200 : 1000, warmup, fn: async () => {
+          const minAge = MIN_AGE + workload.nextKey();
+          if (workload.nextOp() === 'read') {
+            await cached.get(minAge);
+          } else {
+            writes++;
+            cached.userChanged({ age: minAge }, { age: minAge + 1 });
+          }
+        }, stats: () => {
+          const { hits, misses } = cached.stats().cache;
+          return { hitRate: hits + misses > 0 ? hits / (hits + misses) : 0, writes };
+        } };
+      })(),
+      { name: `Materialized (${label(size)} users)`, iterations: slow ? 200 : 1000, warmup, fn: async () => {
+        await materialized.get(nextMinAge());
+      } },
+      // Upkeep of the materialized collection
+      { name: `Full refresh ($merge, ${label(size)} users)`, iterations: slow ? 3 : 20, warmup: 1, fn: async () => {
+        await materialized.refresh();
+      } },
+      (() => {
+        const rng = createRng(workloadParameters.seed);
+        return { name: `Incremental refresh (10 writes, ${label(size)} users)`, iterations: slow ? 20 : 100, warmup: 2, fn: async () => {
+          for (let i = 0; i < 10; i++) {
+            materialized.userChanged(null, { age: MIN_AGE + rng.int(AGE_RANGE), city: rng.pick(CITIES) });
+          }
+          await materialized.refreshGroups();
+        } };
+      })()
+    );
+  }
+  return cases;
+}
+
+// Run all benchmarks
+async function runAllBenchmarks() {
+  console.log(`Stats benchmarks for ${sizes.map(label).join(', ')} users (workload: ${describeWorkload(workloadParameters)})\n`);
+  const result = await runSuite(module.exports, {
+    onCase: (suite, name) => console.log(`Running ${name}...`),
+  });
+
+  if (result.error) {
+    console.error('Benchmark error:', result.error);
+    process.exitCode = 1;
+    return;
+  }
+  console.log('');
+  for (const testCase of result.cases) {
+    if (testCase.error) {
+      console.log(`${testCase.name}: error ${testCase.error}`);
+      continue;
+    }
+    const { p50, p95 } = testCase.latencyMs;
+    const extra = testCase.stats ? ` (hit rate ${(testCase.stats.hitRate * 100).toFixed(1)}%, ${testCase.stats.writes} writes)` : '';
+    console.log(`${testCase.name}: ${testCase.opsPerSec.toFixed(1)} ops/sec, p50 ${p50.toFixed(2)}ms, p95 ${p95.toFixed(2)}ms${extra}`);
+  }
+}
+
+// Suite for run-benchmarks.js
+module.exports = {
+  name: 'stats',
+  setup,
+  teardown,
+  cases: statsCases,
+  workload: workloadParameters,
+};
+
+// Execute benchmarks
+if (require.main === module) {
+  runAllBenchmarks();
+}
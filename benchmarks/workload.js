@@ -0,0 +1,164 @@
+// Shared, reproducible workloads for the benchmarks: a seeded random number
+// generator for test data, key distributions and a read/write mix.
+//
+//   const parameters = workloadFromEnv({ keys: 10000 });
+//   const workload = createWorkload(parameters);
+//   workload.nextKey();  // 0 .. keys - 1, following the distribution
+//   workload.nextOp();   // 'read' or 'write', following readRatio
+//
+// Distributions:
+//   uniform     every key equally likely
+//   zipfian     a few keys get most requests (theta 0.99, as in YCSB); hot
+//               keys are scattered over the key space, not all low ids
+//   hotspot     hotOpFraction of requests go to the first hotKeyFraction of keys
+//   sequential  keys in order, wrapping around (a scan)
+//
+// The same parameters always produce the same sequence, so runs can be
+// compared; include `parameters` in reports.
+
+const DISTRIBUTIONS = ['uniform', 'zipfian', 'hotspot', 'sequential'];
+
+// mulberry32: small, fast and good enough for benchmark data
+function createRng(seed = 1) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (max) => Math.floor(next() * max),
+    pick: (items) => items[Math.floor(next() * items.length)],
+  };
+}
+
+// 32-bit integer hash (murmur3 finalizer), used to scatter Zipfian ranks
+function scramble(value) {
+  let h = value >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function zeta(n, theta) {
+  let sum = 0;
+  for (let i = 1; i <= n; i++) sum += 1 / Math.pow(i, theta);
+  return sum;
+}
+
+// Zipfian ranks in [0, n) from Gray et al., "Quickly Generating
+// Billion-Record Synthetic Databases" (the YCSB generator)
+function zipfian(n, theta, rng) {
+  const zetan = zeta(n, theta);
+  const zeta2 = zeta(2, theta);
+  const alpha = 1 / (1 - theta);
+  const eta = (1 - Math.pow(2 / n, 1 - theta)) / (1 - zeta2 / zetan);
+
+  return () => {
+    const u = rng.next();
+    const uz = u * zetan;
+    if (uz < 1) return 0;
+    if (uz < 1 + Math.pow(0.5, theta)) return 1;
+    return Math.min(n - 1, Math.floor(n * Math.pow(eta * u - eta + 1, alpha)));
+  };
+}
+
+function keyGenerator(parameters, rng) {
+  const { distribution, keys } = parameters;
+  switch (distribution) {
+    case 'uniform':
+      return () => rng.int(keys);
+    case 'zipfian': {
+      const rank = zipfian(keys, parameters.theta, rng);
+      return () => scramble(rank()) % keys;
+    }
+    case 'hotspot': {
+      const hotKeys = Math.max(1, Math.floor(keys * parameters.hotKeyFraction));
+      return () => (rng.next() < parameters.hotOpFraction
+        ? rng.int(hotKeys)
+        : (hotKeys + rng.int(Math.max(keys - hotKeys, 1))) % keys);
+    }
+    case 'sequential': {
+      let next = 0;
+      return () => {
+        const key = next;
+        next = (next + 1) % keys;
+        return key;
+      };
+    }
+    default:
+      throw new Error(`Unknown distribution "${distribution}", expected one of ${DISTRIBUTIONS.join(', ')}`);
+  }
+}
+
+function normalizeParameters(options = {}) {
+  const parameters = {
+    distribution: options.distribution || 'zipfian',
+    keys: options.keys || 10000,
+    readRatio: options.readRatio === undefined ? 1 : options.readRatio,
+    seed: options.seed === undefined ? 42 : options.seed,
+  };
+  if (!DISTRIBUTIONS.includes(parameters.distribution)) {
+    throw new Error(`Unknown distribution "${parameters.distribution}", expected one of ${DISTRIBUTIONS.join(', ')}`);
+  }
+  if (parameters.readRatio < 0 || parameters.readRatio > 1) {
+    throw new Error('readRatio must be between 0 and 1');
+  }
+  // Only the parameters the distribution uses, so reports stay readable
+  if (parameters.distribution === 'zipfian') {
+    parameters.theta = options.theta || 0.99;
+    if (parameters.theta <= 0 || parameters.theta >= 1) throw new Error('theta must be between 0 and 1 (exclusive)');
+  }
+  if (parameters.distribution === 'hotspot') {
+    parameters.hotKeyFraction = options.hotKeyFraction || 0.2;
+    parameters.hotOpFraction = options.hotOpFraction || 0.8;
+  }
+  return parameters;
+}
+
+function createWorkload(options) {
+  const parameters = normalizeParameters(options);
+  // Separate streams, so changing the read ratio doesn't change the keys
+  const keyRng = createRng(parameters.seed);
+  const opRng = createRng(parameters.seed + 1);
+  const nextKey = keyGenerator(parameters, keyRng);
+
+  return {
+    parameters,
+    nextKey,
+    nextOp: () => (opRng.next() < parameters.readRatio ? 'read' : 'write'),
+  };
+}
+
+const numberFromEnv = (name) => (process.env[name] === undefined ? undefined : Number(process.env[name]));
+
+// Parameters from WORKLOAD_* environment variables, falling back to the
+// benchmark's own defaults (e.g. its dataset size)
+function workloadFromEnv(defaults = {}) {
+  return normalizeParameters({
+    ...defaults,
+    distribution: process.env.WORKLOAD_DISTRIBUTION || defaults.distribution,
+    keys: numberFromEnv('WORKLOAD_KEYS') || defaults.keys,
+    readRatio: numberFromEnv('WORKLOAD_READ_RATIO') === undefined ? defaults.readRatio : numberFromEnv('WORKLOAD_READ_RATIO'),
+    seed: numberFromEnv('WORKLOAD_SEED') === undefined ? defaults.seed : numberFromEnv('WORKLOAD_SEED'),
+    theta: numberFromEnv('WORKLOAD_ZIPF_THETA') || defaults.theta,
+    hotKeyFraction: numberFromEnv('WORKLOAD_HOT_KEYS') || defaults.hotKeyFraction,
+    hotOpFraction: numberFromEnv('WORKLOAD_HOT_OPS') || defaults.hotOpFraction,
+  });
+}
+
+function describeWorkload(parameters) {
+  return Object.entries(parameters).map(([key, value]) => `${key}=${value}`).join(' ');
+}
+
+module.exports = {
+  DISTRIBUTIONS,
+  createRng,
+  createWorkload,
+  workloadFromEnv,
+  describeWorkload,
+};
@@ -0,0 +1,72 @@
+const { BatchLoader } = require('../batch-loader');
+
+describe('BatchLoader', () => {
+  test('loads in the same tick are fetched in one batch, in order', async () => {
+    const batchFn = jest.fn(async (keys) => keys.map((key) => `user ${key}`));
+    const loader = new BatchLoader(batchFn);
+
+    const values = await Promise.all([loader.load('3'), loader.load('1'), loader.load('2')]);
+
+    expect(values).toEqual(['user 3', 'user 1', 'user 2']);
+    expect(batchFn).toHaveBeenCalledTimes(1);
+    expect(batchFn).toHaveBeenCalledWith(['3', '1', '2']);
+  });
+
+  test('duplicate keys are loaded once and share the result', async () => {
+    const batchFn = jest.fn(async (keys) => keys.map((key) => ({ key })));
+    const loader = new BatchLoader(batchFn);
+
+    const [first, second, other] = await loader.loadMany(['1', '1', '2']);
+    const later = await loader.load('1');
+
+    expect(batchFn).toHaveBeenCalledTimes(1);
+    expect(batchFn).toHaveBeenCalledWith(['1', '2']);
+    expect(first).toBe(second);
+    expect(later).toBe(first);
+    expect(other).toEqual({ key: '2' });
+  });
+
+  test('loads in a later tick start a new batch', async () => {
+    const batchFn = jest.fn(async (keys) => keys);
+    const loader = new BatchLoader(batchFn);
+
+    await loader.load('1');
+    await loader.load('2');
+
+    expect(batchFn.mock.calls).toEqual([[['1']], [['2']]]);
+    expect(loader.batches).toBe(2);
+  });
+
+  test('batches are split at maxBatchSize', async () => {
+    const batchFn = jest.fn(async (keys) => keys);
+    const loader = new BatchLoader(batchFn, { maxBatchSize: 2 });
+
+    expect(await loader.loadMany(['1', '2', '3', '4', '5'])).toEqual(['1', '2', '3', '4', '5']);
+    expect(batchFn.mock.calls).toEqual([[['1', '2']], [['3', '4']], [['5']]]);
+  });
+
+  test('an Error in a slot rejects only that key', async () => {
+    const loader = new BatchLoader(async (keys) => keys.map((key) => (key === '2' ? new Error('not allowed') : key)));
+
+    const results = await loader.loadMany(['1', '2', '3']);
+
+    expect(results[0]).toBe('1');
+    expect(results[1]).toBeInstanceOf(Error);
+    expect(results[1].message).toBe('not allowed');
+    expect(results[2]).toBe('3');
+  });
+
+  test('a failed or malformed batch rejects every key in it', async () => {
+    const failing = new BatchLoader(async () => {
+      throw new Error('database unavailable');
+    });
+    await expect(failing.load('1')).rejects.toThrow('database unavailable');
+
+    const short = new BatchLoader(async () => ['only one']);
+    const results = await short.loadMany(['1', '2']);
+    expect(results.map((result) => result.message)).toEqual([
+      'Batch function returned 1 values for 2 keys',
+      'Batch function returned 1 values for 2 keys',
+    ]);
+  });
+});
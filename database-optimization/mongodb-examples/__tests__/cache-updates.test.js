@@ -0,0 +1,143 @@
+const { once } = require('events');
+const { connectAmqp } = require('../amqp-client');
+const {
+  backoffDelays,
+  CacheUpdatePublisher,
+  CacheUpdateWorker,
+  CacheUpdateSubscriber,
+} = require('../cache-updates');
+
+// Every memory:// connection shares one broker, so each test has its own queue
+let queueSeq = 0;
+const nextQueue = () => `cache_updates_test_${++queueSeq}`;
+
+describe('cache updates over memory://', () => {
+  let connection;
+  const closing = [];
+
+  beforeEach(async () => {
+    connection = await connectAmqp('memory://');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    for (const client of closing.splice(0)) await client.close();
+    await connection.close();
+    jest.restoreAllMocks();
+  });
+
+  async function start(client) {
+    await client.start(connection);
+    closing.push(client);
+    return client;
+  }
+
+  test('a failing update is retried with backoff, then dead-lettered after maxRetries', async () => {
+    const queue = nextQueue();
+    const retryDelays = backoffDelays({ maxRetries: 3, retryDelay: 20, maxRetryDelay: 50 });
+    expect(retryDelays).toEqual([20, 40, 50]);
+
+    const attempts = [];
+    const worker = await start(new CacheUpdateWorker({
+      queue,
+      retryDelays,
+      apply: async () => {
+        attempts.push(Date.now());
+        throw new Error('cache unavailable');
+      },
+    }));
+    const retries = [];
+    worker.on('retry', ({ retries: retry, delayMs }) => retries.push({ retry, delayMs }));
+    const publisher = await start(new CacheUpdatePublisher({ queue, retryDelays, origin: 'a' }));
+
+    publisher.publish('user:1', 'refresh');
+    const [dead] = await once(worker, 'dead');
+
+    expect(dead.update).toMatchObject({ key: 'user:1', action: 'refresh' });
+    expect(dead.error.message).toBe('cache unavailable');
+    expect(retries).toEqual([
+      { retry: 1, delayMs: 20 },
+      { retry: 2, delayMs: 40 },
+      { retry: 3, delayMs: 50 },
+    ]);
+    // The first attempt plus one per retry, each after its delay
+    expect(attempts).toHaveLength(4);
+    retryDelays.forEach((delayMs, i) => {
+      expect(attempts[i + 1] - attempts[i]).toBeGreaterThanOrEqual(delayMs - 5);
+    });
+    expect(worker.stats()).toMatchObject({ processed: 0, retried: 3, deadLettered: 1 });
+
+    // Parked in <queue>.dead with its retry count and last error
+    const channel = await connection.createChannel();
+    expect(await channel.checkQueue(`${queue}.dead`)).toMatchObject({ messageCount: 1 });
+    const consumed = new Promise((resolve) => channel.consume(`${queue}.dead`, resolve, { noAck: true }));
+    const message = await consumed;
+    expect(JSON.parse(message.content.toString())).toMatchObject({ type: 'CACHE_UPDATE', key: 'user:1' });
+    expect(message.properties.headers).toMatchObject({ 'x-retries': 3, 'x-last-error': 'cache unavailable' });
+    await channel.close();
+  });
+
+  test('a malformed update goes straight to the dead-letter queue', async () => {
+    const queue = nextQueue();
+    const apply = jest.fn();
+    const worker = await start(new CacheUpdateWorker({ queue, retryDelays: [10], apply }));
+
+    const channel = await connection.createChannel();
+    channel.sendToQueue(queue, Buffer.from('not json'));
+    const [dead] = await once(worker, 'dead');
+
+    expect(dead.update).toBeNull();
+    expect(apply).not.toHaveBeenCalled();
+    expect(await channel.checkQueue(`${queue}.dead`)).toMatchObject({ messageCount: 1 });
+    await channel.close();
+  });
+
+  test('a failed readiness check leaves the publishing channel usable', async () => {
+    const queue = nextQueue();
+    const publisher = await start(new CacheUpdatePublisher({ queue, retryDelays: [10], origin: 'a' }));
+    await expect(publisher.check()).resolves.toMatchObject({ queue });
+
+    const channel = await connection.createChannel();
+    await channel.deleteQueue(queue);
+    await expect(publisher.check()).rejects.toThrow(`NOT_FOUND - no queue '${queue}'`);
+
+    expect(() => publisher.publish('user:1')).not.toThrow();
+    expect(publisher.stats()).toMatchObject({ published: 1 });
+    await channel.close();
+  });
+
+  test('publishes into a full write buffer are counted', async () => {
+    const publisher = await start(new CacheUpdatePublisher({ queue: nextQueue(), retryDelays: [10], origin: 'a' }));
+    jest.spyOn(publisher.channel, 'publish').mockReturnValueOnce(false);
+
+    publisher.publish('user:1');
+    publisher.publish('user:2');
+
+    expect(publisher.stats()).toMatchObject({ published: 2, backpressured: 1 });
+  });
+
+  test('every other instance evicts its own copy; one worker applies the update', async () => {
+    const queue = nextQueue();
+    const retryDelays = [10];
+    const applied = [];
+    await start(new CacheUpdateWorker({ queue, retryDelays, apply: async (update) => applied.push(update.key) }));
+    const evicted = { a: [], b: [], c: [] };
+    const subscribers = {};
+    for (const origin of Object.keys(evicted)) {
+      subscribers[origin] = await start(new CacheUpdateSubscriber({
+        queue,
+        retryDelays,
+        origin,
+        evict: async ({ key }) => evicted[origin].push(key),
+      }));
+    }
+    const publisher = await start(new CacheUpdatePublisher({ queue, retryDelays, origin: 'a' }));
+
+    publisher.publish('user:7');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(applied).toEqual(['user:7']);
+    expect(evicted).toEqual({ a: [], b: ['user:7'], c: ['user:7'] });
+    expect(subscribers.a.stats()).toMatchObject({ skipped: 1, evicted: 0 });
+  });
+});
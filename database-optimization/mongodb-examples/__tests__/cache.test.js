@@ -0,0 +1,186 @@
+const { TTLCache, LRUCache, createCache } = require('../cache');
+const { createRedisClient } = require('../redis-client');
+
+describe('TTLCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    cache.close();
+    jest.useRealTimers();
+  });
+
+  test('an entry expires after its ttl', async () => {
+    cache = new TTLCache({ ttl: 1000 });
+    await cache.set('a', 1);
+    await cache.set('b', 2, 3000);
+
+    jest.advanceTimersByTime(999);
+    expect(await cache.get('a')).toBe(1);
+    jest.advanceTimersByTime(1);
+    expect(await cache.get('a')).toBeUndefined();
+    expect(await cache.get('b')).toBe(2);
+    expect(cache.stats()).toMatchObject({ size: 1, hits: 2, misses: 1, expirations: 1 });
+  });
+
+  test('the sweep removes expired entries that are never read again', async () => {
+    cache = new TTLCache({ ttl: 1000, sweepInterval: 5000 });
+    await cache.set('a', 1);
+    await cache.set('b', 2, 10000);
+
+    jest.advanceTimersByTime(5000);
+
+    expect(Array.from(cache.entries.keys())).toEqual(['b']);
+    expect(cache.stats().expirations).toBe(1);
+  });
+
+  test('the oldest insertion is evicted at maxEntries, even if it was just read', async () => {
+    cache = new TTLCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('a')).toBeUndefined();
+    expect(await cache.get('b')).toBe(2);
+    expect(cache.stats()).toMatchObject({ size: 2, evictions: 1 });
+  });
+});
+
+describe('LRUCache', () => {
+  let cache;
+
+  afterEach(() => {
+    cache.close();
+  });
+
+  test('the least recently read entry is evicted at maxEntries', async () => {
+    cache = new LRUCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('c')).toBe(3);
+  });
+
+  test('entries are evicted until the values fit in maxBytes', async () => {
+    // Each value is 12 bytes of JSON
+    cache = new LRUCache({ maxBytes: 30 });
+    await cache.set('a', 'x'.repeat(10));
+    await cache.set('b', 'y'.repeat(10));
+    expect(cache.stats()).toMatchObject({ size: 2, bytes: 24 });
+
+    await cache.set('c', 'z'.repeat(10));
+
+    expect(await cache.get('a')).toBeUndefined();
+    expect(cache.stats()).toMatchObject({ size: 2, bytes: 24, evictions: 1 });
+  });
+
+  test('replacing an entry updates the byte count', async () => {
+    cache = new LRUCache({ maxBytes: 100 });
+    await cache.set('a', 'x'.repeat(10));
+    await cache.set('a', 'x'.repeat(20));
+    expect(cache.stats().bytes).toBe(22);
+
+    await cache.delete('a');
+    expect(cache.stats()).toMatchObject({ size: 0, bytes: 0 });
+  });
+
+  test('a value larger than maxBytes is not cached and drops the old value', async () => {
+    cache = new LRUCache({ maxBytes: 30 });
+    await cache.set('a', 'small');
+    await cache.set('b', 'kept');
+
+    await cache.set('a', 'x'.repeat(40));
+
+    expect(await cache.get('a')).toBeUndefined();
+    expect(await cache.get('b')).toBe('kept');
+    expect(cache.stats().evictions).toBe(0);
+  });
+});
+
+describe('createCache', () => {
+  test('creates the configured in-process backend', () => {
+    const lru = createCache({ backend: 'lru', maxEntries: 10, maxBytes: 1000 });
+    const ttl = createCache({ backend: 'ttl' });
+
+    expect(lru).toBeInstanceOf(LRUCache);
+    expect(lru.stats()).toMatchObject({ maxEntries: 10, maxBytes: 1000 });
+    expect(ttl.name).toBe('ttl');
+    lru.close();
+    ttl.close();
+  });
+});
+
+// Pub/sub messages from memory-redis.js arrive on a later turn of the event loop
+const delivered = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('TieredCache', () => {
+  let a;
+  let b;
+
+  // Two app instances sharing one memory:// server
+  beforeEach(async () => {
+    const options = { backend: 'tiered', ttl: 60000, l1Ttl: 60000 };
+    a = createCache({ ...options, client: createRedisClient('memory://') });
+    b = createCache({ ...options, client: createRedisClient('memory://') });
+    await Promise.all([a.connect(), b.connect()]);
+  });
+
+  afterEach(async () => {
+    await Promise.all([a.close(), b.close()]);
+  });
+
+  test('a write on one instance evicts the L1 copy on the other', async () => {
+    await a.set('user:1', { name: 'before' });
+    await delivered();
+    expect(await b.get('user:1')).toEqual({ name: 'before' });
+    // Now in b's L1, so a stale read would come from there
+    expect(b.l1.entries.has('user:1')).toBe(true);
+
+    await a.set('user:1', { name: 'after' });
+    await delivered();
+
+    expect(b.l1.entries.has('user:1')).toBe(false);
+    expect(await b.get('user:1')).toEqual({ name: 'after' });
+    expect(b.stats().invalidationsReceived).toBe(2);
+  });
+
+  test('a delete on one instance evicts the L1 copy on the other', async () => {
+    await a.set('user:2', { name: 'gone soon' });
+    await delivered();
+    await b.get('user:2');
+
+    await a.delete('user:2');
+    await delivered();
+
+    expect(await b.get('user:2')).toBeUndefined();
+  });
+
+  test('a read-through fill is not broadcast', async () => {
+    await a.set('user:4', { name: 'loaded' });
+    await delivered();
+    await b.get('user:4');
+
+    await a.set('user:4', { name: 'loaded' }, undefined, { fill: true });
+    await delivered();
+
+    expect(b.l1.entries.has('user:4')).toBe(true);
+    expect(a.stats().invalidationsSent).toBe(1);
+    expect(b.stats().invalidationsReceived).toBe(1);
+  });
+
+  test('an instance ignores its own invalidations', async () => {
+    await a.set('user:3', { name: 'kept' });
+    await delivered();
+
+    expect(a.l1.entries.has('user:3')).toBe(true);
+    expect(a.stats().invalidationsReceived).toBe(0);
+  });
+});
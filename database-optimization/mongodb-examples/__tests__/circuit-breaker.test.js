@@ -0,0 +1,152 @@
+const { CircuitBreaker } = require('../circuit-breaker');
+
+const succeed = async () => 'ok';
+const fail = async () => {
+  throw new Error('not primary');
+};
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let transitions;
+
+  function createBreaker(options = {}) {
+    breaker = new CircuitBreaker('userWithPosts', {
+      windowSize: 4,
+      minimumCalls: 4,
+      failureRate: 0.5,
+      openMs: 1000,
+      halfOpenCalls: 2,
+      ...options,
+    });
+    transitions = [];
+    breaker.on('state', ({ from, to }) => transitions.push(`${from} -> ${to}`));
+    return breaker;
+  }
+
+  async function call(fn) {
+    return breaker.execute(fn).catch((err) => err);
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('opens once minimumCalls are in the window and too many failed', async () => {
+    createBreaker();
+    await call(fail);
+    await call(fail);
+    await call(succeed);
+    expect(breaker.state).toBe('closed');
+
+    await call(succeed);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.stats()).toMatchObject({ failureRate: 0.5, opened: 1, calls: { success: 2, failure: 2 } });
+  });
+
+  test('only the last windowSize calls count', async () => {
+    createBreaker();
+    await call(fail);
+    for (let i = 0; i < 4; i++) await call(succeed);
+    await call(fail);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.stats()).toMatchObject({ failureRate: 0.25, windowCalls: 4 });
+  });
+
+  test('an open breaker rejects calls with the time left until a trial', async () => {
+    createBreaker({ minimumCalls: 1 });
+    await call(fail);
+    jest.advanceTimersByTime(400);
+    const fn = jest.fn(succeed);
+
+    const err = await call(fn);
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(err).toMatchObject({ code: 'EBREAKEROPEN', retryAfterMs: 600, message: 'userWithPosts is unavailable (circuit open)' });
+    expect(breaker.stats().calls.rejected).toBe(1);
+  });
+
+  test('after openMs, halfOpenCalls successful trials close the breaker', async () => {
+    createBreaker({ minimumCalls: 1 });
+    await call(fail);
+    jest.advanceTimersByTime(1000);
+
+    await call(succeed);
+    expect(breaker.state).toBe('half-open');
+    await call(succeed);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.stats().windowCalls).toBe(0);
+    expect(transitions).toEqual(['closed -> open', 'open -> half-open', 'half-open -> closed']);
+  });
+
+  test('a failed trial opens the breaker again', async () => {
+    createBreaker({ minimumCalls: 1 });
+    await call(fail);
+    jest.advanceTimersByTime(1000);
+
+    await call(fail);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.retryAfterMs()).toBe(1000);
+    expect(transitions).toEqual(['closed -> open', 'open -> half-open', 'half-open -> open']);
+  });
+
+  test('calls past halfOpenCalls are rejected while the trials run', async () => {
+    createBreaker({ minimumCalls: 1 });
+    await call(fail);
+    jest.advanceTimersByTime(1000);
+
+    const pending = () => new Promise(() => {});
+    breaker.execute(pending);
+    breaker.execute(pending);
+
+    expect(await call(succeed)).toMatchObject({ code: 'EBREAKEROPEN' });
+  });
+
+  test('slow calls open the breaker at slowCallRate', async () => {
+    createBreaker({ minimumCalls: 2, slowCallMs: 100, slowCallRate: 1 });
+    const slow = async () => {
+      jest.advanceTimersByTime(150);
+      return 'ok';
+    };
+
+    await call(slow);
+    await call(slow);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.stats()).toMatchObject({ failureRate: 0, calls: { success: 2 } });
+  });
+
+  test('client errors are passed on but not counted as failures', async () => {
+    createBreaker({ minimumCalls: 1 });
+    const notFound = async () => {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    };
+
+    expect(await call(notFound)).toMatchObject({ status: 404 });
+    expect(breaker.state).toBe('closed');
+    expect(breaker.stats().calls).toMatchObject({ success: 1, failure: 0 });
+  });
+
+  test('deadline errors are counted as timeouts', async () => {
+    createBreaker({ minimumCalls: 2 });
+    const outcomes = [];
+    breaker.on('call', ({ outcome }) => outcomes.push(outcome));
+
+    await call(async () => {
+      throw Object.assign(new Error('operation exceeded time limit'), { code: 50 });
+    });
+    await call(async () => {
+      throw Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' });
+    });
+
+    expect(outcomes).toEqual(['timeout', 'timeout']);
+    expect(breaker.state).toBe('open');
+  });
+});
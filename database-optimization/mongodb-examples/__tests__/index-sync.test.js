@@ -0,0 +1,133 @@
+const { diffIndexes, planIndexSync, applyIndexSync, hasDrift, formatPlan } = require('../index-sync');
+
+// Collections with the given live indexes; every createIndex and dropIndex is recorded
+function fakeDb(liveIndexes) {
+  const calls = [];
+  const collection = (name) => ({
+    listIndexes: () => ({
+      toArray: async () => {
+        if (!liveIndexes[name]) throw Object.assign(new Error(`ns does not exist: ${name}`), { code: 26 });
+        return liveIndexes[name];
+      },
+    }),
+    createIndex: async (key, options) => calls.push({ name, op: 'createIndex', key, options }),
+    dropIndex: async (index) => calls.push({ name, op: 'dropIndex', index }),
+  });
+  return { calls, db: { collection } };
+}
+
+describe('diffIndexes', () => {
+  test('declared indexes are matched to live ones by key pattern', () => {
+    const declared = [
+      { key: { email: 1 }, unique: true },
+      { key: { city: 1, age: 1 } },
+      { key: { createdAt: -1 }, name: 'recent' },
+    ];
+    const live = [
+      { name: '_id_', key: { _id: 1 } },
+      { name: 'email_1', key: { email: 1 }, unique: true, v: 2 },
+      { name: 'age_1_city_1', key: { age: 1, city: 1 } },
+      { name: 'name_1', key: { name: 1 }, sparse: false },
+    ];
+
+    const diff = diffIndexes(declared, live);
+
+    expect(diff.unchanged).toEqual([{ name: 'email_1', key: { email: 1 }, unique: true }]);
+    // Field order is part of the key pattern
+    expect(diff.missing.map(({ name }) => name)).toEqual(['city_1_age_1', 'recent']);
+    expect(diff.extra.map(({ name }) => name)).toEqual(['age_1_city_1', 'name_1']);
+    expect(diff.changed).toEqual([]);
+  });
+
+  test('a different name or managed option makes an index changed', () => {
+    const diff = diffIndexes(
+      [
+        { key: { email: 1 }, unique: true },
+        { key: { sessionAt: 1 }, name: 'session_ttl', expireAfterSeconds: 3600 },
+        { key: { city: 1 }, unique: false },
+      ],
+      [
+        { name: 'email_1', key: { email: 1 } },
+        { name: 'sessionAt_1', key: { sessionAt: 1 }, expireAfterSeconds: 60 },
+        { name: 'city_1', key: { city: 1 } },
+      ]
+    );
+
+    expect(diff.changed.map(({ declared, differences }) => [declared.name, differences])).toEqual([
+      ['email_1', [{ option: 'unique', declared: true, live: undefined }]],
+      ['session_ttl', [
+        { option: 'name', declared: 'session_ttl', live: 'sessionAt_1' },
+        { option: 'expireAfterSeconds', declared: 3600, live: 60 },
+      ]],
+    ]);
+    // unique: false is the same as leaving it out
+    expect(diff.unchanged.map(({ name }) => name)).toEqual(['city_1']);
+  });
+});
+
+describe('index sync', () => {
+  const manifest = {
+    users: [{ key: { email: 1 }, unique: true }, { key: { city: 1 } }],
+    posts: [{ key: { userId: 1 } }],
+  };
+  const live = {
+    users: [
+      { name: '_id_', key: { _id: 1 } },
+      { name: 'email_1', key: { email: 1 } },
+      { name: 'legacy_1', key: { legacy: 1 } },
+    ],
+    // posts doesn't exist yet
+  };
+
+  test('a collection that does not exist has every declared index missing', async () => {
+    const { db } = fakeDb(live);
+
+    const plan = await planIndexSync(db, manifest);
+
+    expect(plan.posts.missing.map(({ name }) => name)).toEqual(['userId_1']);
+    expect(formatPlan(plan)).toEqual([
+      'users: missing city_1 {"city":1}',
+      'users: changed email_1 (unique (none) -> true)',
+      'users: extra legacy_1 {"legacy":1}',
+      'posts: missing userId_1 {"userId":1}',
+    ]);
+  });
+
+  test('extra indexes are drift only when pruning', async () => {
+    const { db } = fakeDb({
+      users: [
+        { name: 'email_1', key: { email: 1 }, unique: true },
+        { name: 'city_1', key: { city: 1 } },
+        { name: 'legacy_1', key: { legacy: 1 } },
+      ],
+      posts: [{ name: 'userId_1', key: { userId: 1 } }],
+    });
+
+    const plan = await planIndexSync(db, manifest);
+
+    expect(hasDrift(plan)).toBe(false);
+    expect(hasDrift(plan, { prune: true })).toBe(true);
+  });
+
+  test('apply creates missing indexes and rebuilds or drops only when asked', async () => {
+    const { calls, db } = fakeDb(live);
+    const plan = await planIndexSync(db, manifest);
+
+    expect(await applyIndexSync(db, plan)).toEqual([
+      { collection: 'users', action: 'create', index: 'city_1' },
+      { collection: 'posts', action: 'create', index: 'userId_1' },
+    ]);
+    expect(calls[0]).toEqual({ name: 'users', op: 'createIndex', key: { city: 1 }, options: { name: 'city_1' } });
+
+    calls.length = 0;
+    await applyIndexSync(db, plan, { rebuild: true, prune: true });
+    expect(calls.map(({ op, index, key }) => [op, index || key])).toEqual([
+      ['createIndex', { city: 1 }],
+      ['dropIndex', 'email_1'],
+      ['createIndex', { email: 1 }],
+      ['dropIndex', 'legacy_1'],
+      ['createIndex', { userId: 1 }],
+    ]);
+    expect(calls[2].options).toEqual({ name: 'email_1', unique: true });
+  });
+});
@@ -0,0 +1,120 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+const { NPlusOneDetector } = require('../n-plus-one');
+
+// Stands in for MongoClient: the detector only listens to its monitoring
+// events, and a "query" is one commandStarted from the caller's context
+function fakeClient() {
+  const client = new EventEmitter();
+  client.findPost = async (userId) => {
+    await Promise.resolve();
+    client.emit('commandStarted', {
+      commandName: 'find',
+      command: { find: 'posts', filter: { userId }, sort: { createdAt: -1 } },
+      connectionId: 1,
+    });
+    return [];
+  };
+  return client;
+}
+
+function createApp(detector, client) {
+  const app = express();
+  app.use(detector.middleware);
+
+  // One query per user: the N+1 pattern
+  app.get('/posts', async (req, res) => {
+    for (let userId = 0; userId < 10; userId++) await client.findPost(userId);
+    res.json({ ok: true });
+  });
+
+  // Same loop, but the response is sent from the catch block
+  app.get('/posts-then-fail', async (req, res) => {
+    try {
+      for (let userId = 0; userId < 10; userId++) await client.findPost(userId);
+      throw new Error('downstream failure');
+    } catch (err) {
+      res.status(503).json({ error: err.message });
+    }
+  });
+
+  app.get('/post', async (req, res) => {
+    await client.findPost(1);
+    res.json({ ok: true });
+  });
+
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  });
+  return app;
+}
+
+describe('NPlusOneDetector', () => {
+  let server;
+  let baseUrl;
+  let detector;
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+
+  async function start(mode) {
+    const client = fakeClient();
+    detector = new NPlusOneDetector(client, { mode, threshold: 3, headers: true }).attach();
+    server = createApp(detector, client).listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  beforeEach(() => {
+    unhandled.length = 0;
+    process.on('unhandledRejection', onUnhandled);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    process.off('unhandledRejection', onUnhandled);
+    jest.restoreAllMocks();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('strict mode', () => {
+    beforeEach(() => start('strict'));
+
+    test('a route that runs one query shape in a loop fails with a 500', async () => {
+      const res = await fetch(`${baseUrl}/posts`);
+
+      expect(res.status).toBe(500);
+      expect(await res.json()).toMatchObject({ code: 'ENPLUSONE' });
+      expect(res.headers.get('x-query-repeated')).toBe('posts.find=10');
+      expect(detector.recent()).toHaveLength(1);
+    });
+
+    test('a response sent from a catch block is replaced too', async () => {
+      const res = await fetch(`${baseUrl}/posts-then-fail`);
+
+      expect(res.status).toBe(500);
+      expect(await res.json()).toMatchObject({ code: 'ENPLUSONE' });
+      expect(unhandled).toEqual([]);
+    });
+
+    test('a route under the threshold is left alone', async () => {
+      const res = await fetch(`${baseUrl}/post`);
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({ ok: true });
+      expect(res.headers.get('x-query-count')).toBe('1');
+      expect(detector.recent()).toEqual([]);
+    });
+  });
+
+  describe('warn mode', () => {
+    beforeEach(() => start('warn'));
+
+    test('the violation is recorded but the response goes through', async () => {
+      const res = await fetch(`${baseUrl}/posts`);
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({ ok: true });
+      expect(detector.recent()[0]).toMatchObject({ route: '/posts', commands: 10 });
+    });
+  });
+});
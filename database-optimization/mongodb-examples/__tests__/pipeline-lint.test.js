@@ -0,0 +1,157 @@
+const { lintPipeline, lintPipelines, hasWarnings, formatFindings } = require('../pipeline-lint');
+const { appPipelines } = require('../pipelines');
+const indexes = require('../indexes');
+
+const manifest = {
+  users: [{ key: { email: 1 }, unique: true }, { key: { city: 1, age: 1 } }],
+  posts: [{ key: { userId: 1, createdAt: -1 } }],
+};
+
+// [rule, severity, stage] of each finding
+function lint(pipeline, collection = 'users') {
+  return lintPipeline(pipeline, { collection, indexes: manifest }).map(({ rule, severity, stage }) => [rule, severity, stage]);
+}
+
+describe('lintPipeline', () => {
+  test('a filtered, indexed and projected pipeline has no findings', () => {
+    expect(lint([
+      { $match: { city: 'Oslo' } },
+      { $sort: { age: 1 } },
+      { $project: { name: 1 } },
+    ])).toEqual([]);
+  });
+
+  test('late-match: a $match that could run before earlier stages', () => {
+    const [finding] = lintPipeline([
+      { $addFields: { label: { $concat: ['$name', '!'] } } },
+      { $match: { city: 'Oslo' } },
+      { $project: { label: 1 } },
+    ], { collection: 'users', indexes: manifest });
+
+    expect(finding).toMatchObject({ rule: 'late-match', severity: 'warning', stage: 1 });
+    expect(finding.suggestion).toBe('move it to stage 0; there it can use index city_1_age_1');
+  });
+
+  test('late-match: not reported when the earlier stage computes the field or limits the documents', () => {
+    expect(lint([
+      { $addFields: { city: { $toLower: '$city' } } },
+      { $match: { city: 'oslo' } },
+      { $project: { name: 1 } },
+    ])).toEqual([]);
+    expect(lint([
+      { $limit: 10 },
+      { $match: { city: 'Oslo' } },
+      { $project: { name: 1 } },
+    ])).toEqual([]);
+    expect(lint([
+      { $project: { name: 1 } },
+      { $match: { city: 'Oslo' } },
+    ])).toEqual([]);
+  });
+
+  test('sort-without-index: no declared index supports the sort', () => {
+    expect(lint([{ $match: { city: 'Oslo' } }, { $sort: { name: 1 } }, { $project: { name: 1 } }]))
+      .toEqual([['sort-without-index', 'warning', 1]]);
+    // Equality on the leading field, then the index's second key, reversed
+    expect(lint([{ $match: { city: 'Oslo' } }, { $sort: { age: -1 } }, { $project: { name: 1 } }])).toEqual([]);
+    // A range on the leading field doesn't pin it
+    expect(lint([{ $match: { city: { $gt: 'A' } } }, { $sort: { age: 1 } }, { $project: { name: 1 } }]))
+      .toEqual([['sort-without-index', 'warning', 1]]);
+  });
+
+  test('sort-without-index: a $sort after a stage that changes documents', () => {
+    const [finding] = lintPipeline([
+      { $match: { city: 'Oslo' } },
+      { $unset: 'password' },
+      { $sort: { email: 1 } },
+      { $project: { name: 1 } },
+    ], { collection: 'users', indexes: manifest });
+
+    expect(finding).toMatchObject({ rule: 'sort-without-index', stage: 2, suggestion: 'move it before $unset' });
+  });
+
+  test('unused-sort: a $sort before a $group that ignores order', () => {
+    expect(lint([
+      { $match: { city: 'Oslo' } },
+      { $sort: { age: 1 } },
+      { $group: { _id: '$age', count: { $sum: 1 } } },
+    ])).toEqual([['unused-sort', 'warning', 1]]);
+    expect(lint([
+      { $match: { city: 'Oslo' } },
+      { $sort: { age: 1 } },
+      { $group: { _id: '$city', youngest: { $first: '$name' } } },
+    ])).toEqual([]);
+  });
+
+  test('group-before-filter: a $group over every document, or a filter on the group key after it', () => {
+    expect(lint([{ $group: { _id: '$city', count: { $sum: 1 } } }]))
+      .toEqual([['group-before-filter', 'info', 0]]);
+    expect(lint([
+      { $match: { age: { $gte: 18 } } },
+      { $group: { _id: '$city', count: { $sum: 1 } } },
+      { $match: { _id: 'Oslo' } },
+    ])).toEqual([['group-before-filter', 'warning', 2]]);
+    // Filters on accumulated values can only run after the $group
+    expect(lint([
+      { $match: { age: { $gte: 18 } } },
+      { $group: { _id: '$city', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 10 } } },
+    ])).toEqual([]);
+  });
+
+  test('unbounded-lookup: no index on the joined field, or no limit on what it joins', () => {
+    expect(lint([
+      { $match: { email: 'ann@example.com' } },
+      { $lookup: { from: 'posts', localField: '_id', foreignField: 'authorId', as: 'posts' } },
+      { $project: { posts: 1 } },
+    ])).toEqual([['unbounded-lookup', 'warning', 1], ['unbounded-lookup', 'warning', 1]]);
+    expect(lint([
+      { $match: { email: 'ann@example.com' } },
+      { $lookup: {
+        from: 'posts',
+        localField: '_id',
+        foreignField: 'userId',
+        pipeline: [{ $sort: { createdAt: -1 } }, { $limit: 10 }],
+        as: 'posts',
+      } },
+      { $project: { posts: 1 } },
+    ])).toEqual([]);
+    // A unique foreign field joins at most one document
+    expect(lint([
+      { $match: { userId: 'u1' } },
+      { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'author' } },
+      { $project: { author: 1 } },
+    ], 'posts')).toEqual([]);
+  });
+
+  test('unbounded-unwind: an $unwind before anything filters', () => {
+    expect(lint([{ $unwind: '$tags' }, { $project: { tags: 1 } }], 'posts'))
+      .toEqual([['unbounded-unwind', 'warning', 0]]);
+    expect(lint([{ $match: { userId: 'u1' } }, { $unwind: { path: '$tags' } }, { $project: { tags: 1 } }], 'posts'))
+      .toEqual([]);
+  });
+
+  test('missing-project: whole documents to the end, unless written out', () => {
+    expect(lint([{ $match: { city: 'Oslo' } }])).toEqual([['missing-project', 'warning', 0]]);
+    expect(lint([{ $match: { city: 'Oslo' } }, { $out: 'oslo_users' }])).toEqual([]);
+  });
+});
+
+describe('lintPipelines', () => {
+  test('the app pipelines have no warnings against indexes.js', () => {
+    const results = lintPipelines(appPipelines(), indexes);
+
+    expect(hasWarnings(results)).toBe(false);
+    expect(formatFindings(results, { warningsOnly: true })).toEqual([]);
+  });
+
+  test('findings are formatted one per line with the stage and suggestion', () => {
+    const results = lintPipelines([{ name: 'oslo', collection: 'users', pipeline: [{ $match: { city: 'Oslo' } }] }], manifest);
+
+    expect(hasWarnings(results)).toBe(true);
+    expect(formatFindings(results)).toEqual([
+      'oslo (users) stage 0 $match: warning missing-project: the pipeline returns whole documents' +
+        ' -> add a $project with only the fields the caller uses',
+    ]);
+  });
+});
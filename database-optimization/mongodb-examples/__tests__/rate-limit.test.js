@@ -0,0 +1,162 @@
+const { MemoryStore, RedisStore, rateLimit } = require('../rate-limit');
+const { MemoryRedisServer } = require('../memory-redis');
+
+// Calls consume at each offset (ms from the start) and returns the decisions
+async function consumeAt(store, algorithm, offsets, limit = 2, windowMs = 1000) {
+  const results = [];
+  let elapsed = 0;
+  for (const offset of offsets) {
+    jest.advanceTimersByTime(offset - elapsed);
+    elapsed = offset;
+    results.push(await store.consume('ratelimit:test:ip:1', algorithm, limit, windowMs));
+  }
+  return results;
+}
+
+describe('rate limit stores', () => {
+  let store;
+
+  beforeEach(() => {
+    // Sliding windows are aligned to the clock, so start on a window boundary
+    jest.useFakeTimers({ now: 1000000 });
+  });
+
+  afterEach(() => {
+    store.close();
+    jest.useRealTimers();
+  });
+
+  test('token bucket allows a burst of limit, then refills evenly over windowMs', async () => {
+    store = new MemoryStore();
+
+    const results = await consumeAt(store, 'token-bucket', [0, 0, 0, 500, 500]);
+
+    expect(results.map(({ allowed }) => allowed)).toEqual([true, true, false, true, false]);
+    expect(results[1]).toEqual({ allowed: true, remaining: 0, resetMs: 1000, retryAfterMs: 0 });
+    expect(results[2]).toMatchObject({ allowed: false, retryAfterMs: 500 });
+  });
+
+  test('sliding window weights the previous window by its overlap', async () => {
+    store = new MemoryStore();
+
+    // Two in the first window; at 1250, 75% of them still count
+    const results = await consumeAt(store, 'sliding-window', [0, 100, 1250, 1500, 1600]);
+
+    expect(results.map(({ allowed }) => allowed)).toEqual([true, true, false, true, false]);
+    expect(results[2]).toMatchObject({ remaining: 0, retryAfterMs: 250 });
+    expect(results[4]).toMatchObject({ remaining: 0 });
+  });
+
+  test('a full window waits for the next one and for enough of it to slide by', async () => {
+    store = new MemoryStore();
+
+    const results = await consumeAt(store, 'sliding-window', [0, 0, 200]);
+
+    expect(results[2]).toMatchObject({ allowed: false, retryAfterMs: 800 + 500 });
+  });
+
+  test('state runs out after its ttl and is swept', async () => {
+    store = new MemoryStore({ sweepInterval: 5000 });
+
+    await consumeAt(store, 'token-bucket', [0, 0]);
+    jest.advanceTimersByTime(5000);
+
+    expect(store.entries.size).toBe(0);
+    expect(await store.consume('ratelimit:test:ip:1', 'token-bucket', 2, 1000)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  // The Lua scripts can't run here; memory:// runs the same JavaScript the
+  // memory store does, through EVAL and Redis key expiry
+  describe.each(['token-bucket', 'sliding-window'])('%s over memory:// Redis', (algorithm) => {
+    test('decides like the memory store', async () => {
+      const offsets = [0, 0, 0, 300, 700, 900, 1100, 1400, 2900, 2950, 6000];
+      store = new MemoryStore();
+      const expected = await consumeAt(store, algorithm, offsets, 3);
+      jest.setSystemTime(1000000);
+
+      const redis = new RedisStore({ client: new MemoryRedisServer().createClient() });
+      const actual = await consumeAt(redis, algorithm, offsets, 3);
+
+      expect(actual).toEqual(expected);
+    });
+  });
+});
+
+describe('rateLimit middleware', () => {
+  function fakeResponse() {
+    const res = { headers: {} };
+    res.set = (name, value) => {
+      res.headers[name] = value;
+      return res;
+    };
+    res.status = (status) => {
+      res.statusCode = status;
+      return res;
+    };
+    res.json = (body) => {
+      res.body = body;
+      return res;
+    };
+    return res;
+  }
+
+  const request = (headers = {}) => ({ ip: '10.0.0.1', get: (name) => headers[name] });
+
+  test('sets RateLimit headers and answers 429 with Retry-After once the limit is used', async () => {
+    const store = { consume: jest.fn() };
+    const limiter = rateLimit({ name: 'api', store, limit: 10, windowMs: 60000 });
+    const next = jest.fn();
+
+    store.consume.mockResolvedValueOnce({ allowed: true, remaining: 9, resetMs: 60000, retryAfterMs: 0 });
+    const allowed = fakeResponse();
+    await limiter(request(), allowed, next);
+
+    store.consume.mockResolvedValueOnce({ allowed: false, remaining: 0, resetMs: 1500, retryAfterMs: 1500 });
+    const rejected = fakeResponse();
+    await limiter(request(), rejected, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(store.consume).toHaveBeenCalledWith('ratelimit:api:ip:10.0.0.1', 'sliding-window', 10, 60000);
+    expect(allowed.headers).toEqual({
+      'RateLimit-Policy': '10;w=60',
+      'RateLimit-Limit': '10',
+      'RateLimit-Remaining': '9',
+      'RateLimit-Reset': '60',
+    });
+    expect(rejected.statusCode).toBe(429);
+    expect(rejected.headers['Retry-After']).toBe('2');
+  });
+
+  test('api-key limits hash the key and fall back to the IP', async () => {
+    const store = { consume: jest.fn(async () => ({ allowed: true, remaining: 1, resetMs: 0, retryAfterMs: 0 })) };
+    const limiter = rateLimit({ name: 'api', store, limit: 2, windowMs: 1000, keyBy: 'api-key' });
+
+    await limiter(request({ 'X-API-Key': 'secret' }), fakeResponse(), () => {});
+    await limiter(request(), fakeResponse(), () => {});
+
+    const [[withKey], [withoutKey]] = store.consume.mock.calls;
+    expect(withKey).toMatch(/^ratelimit:api:key:[0-9a-f]{32}$/);
+    expect(withKey).not.toContain('secret');
+    expect(withoutKey).toBe('ratelimit:api:ip:10.0.0.1');
+  });
+
+  test('a failing store lets requests through', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = { consume: async () => { throw new Error('connection refused'); } };
+    const next = jest.fn();
+    const res = fakeResponse();
+
+    await rateLimit({ name: 'api', store, limit: 1, windowMs: 1000 })(request(), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers).toEqual({});
+    jest.restoreAllMocks();
+  });
+
+  test('unknown algorithms and keys are rejected up front', () => {
+    expect(() => rateLimit({ name: 'api', store: {}, algorithm: 'leaky-bucket', limit: 1, windowMs: 1000 }))
+      .toThrow('Unknown rate limit algorithm "leaky-bucket"');
+    expect(() => rateLimit({ name: 'api', store: {}, keyBy: 'user', limit: 1, windowMs: 1000 }))
+      .toThrow('Unknown rate limit key "user"');
+  });
+});
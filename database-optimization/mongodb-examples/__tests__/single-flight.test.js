@@ -0,0 +1,76 @@
+const { SingleFlight, shouldRefreshEarly } = require('../single-flight');
+
+describe('SingleFlight', () => {
+  test('concurrent calls for a key share one execution', async () => {
+    const flight = new SingleFlight();
+    const fn = jest.fn(async () => ({ name: 'Ann' }));
+
+    const [first, second] = await Promise.all([flight.do('user:1', fn), flight.do('user:1', fn)]);
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(flight.stats()).toEqual({ inFlight: 0, executions: 1, coalesced: 1, failures: 0 });
+  });
+
+  test('different keys and later calls run on their own', async () => {
+    const flight = new SingleFlight();
+    const fn = jest.fn(async () => 'loaded');
+
+    await Promise.all([flight.do('user:1', fn), flight.do('user:2', fn)]);
+    await flight.do('user:1', fn);
+
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(flight.stats().coalesced).toBe(0);
+  });
+
+  test('an error reaches every waiter and is not kept', async () => {
+    const flight = new SingleFlight();
+    const failing = jest.fn(async () => {
+      throw new Error('database unavailable');
+    });
+
+    const results = await Promise.allSettled([flight.do('user:1', failing), flight.do('user:1', failing)]);
+
+    expect(results.map(({ reason }) => reason.message)).toEqual(['database unavailable', 'database unavailable']);
+    expect(await flight.do('user:1', async () => 'recovered')).toBe('recovered');
+    expect(flight.stats()).toMatchObject({ executions: 2, failures: 1 });
+  });
+
+  test('a synchronous throw is turned into a rejection', async () => {
+    const flight = new SingleFlight();
+
+    await expect(flight.do('user:1', () => {
+      throw new Error('bad key');
+    })).rejects.toThrow('bad key');
+    expect(flight.stats().inFlight).toBe(0);
+  });
+});
+
+describe('shouldRefreshEarly', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a beta of 0 or an entry without expiry never refreshes early', () => {
+    expect(shouldRefreshEarly({ expiresAt: 1000, delta: 100 }, 0, 999)).toBe(false);
+    expect(shouldRefreshEarly({ delta: 100 }, 1, 999)).toBe(false);
+  });
+
+  test('refreshes once now + delta * beta * -ln(random) reaches the expiry', () => {
+    // -ln(random) is 1
+    jest.spyOn(Math, 'random').mockReturnValue(Math.exp(-1));
+    const entry = { expiresAt: 1000, delta: 100 };
+
+    expect(shouldRefreshEarly(entry, 1, 899)).toBe(false);
+    expect(shouldRefreshEarly(entry, 1, 900)).toBe(true);
+    // A larger beta or a slower load moves the refresh earlier
+    expect(shouldRefreshEarly(entry, 2, 800)).toBe(true);
+    expect(shouldRefreshEarly({ expiresAt: 1000, delta: 300 }, 1, 700)).toBe(true);
+  });
+
+  test('an expired entry always refreshes', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(shouldRefreshEarly({ expiresAt: 1000, delta: 100 }, 1, 1000)).toBe(true);
+  });
+});
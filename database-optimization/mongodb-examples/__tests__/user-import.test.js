@@ -0,0 +1,140 @@
+const { Readable } = require('stream');
+const { importUsers } = require('../user-import');
+
+// The body arrives in arbitrary chunks, so rows are split across them
+function body(text, chunkSize = 7) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) chunks.push(Buffer.from(text.slice(i, i + chunkSize)));
+  return Readable.from(chunks);
+}
+
+function toDocument(row) {
+  if (!row.name || !row.email) throw new Error('name and email are required');
+  return row;
+}
+
+// Collects every chunk; emails in duplicates fail like a unique index would
+function fakeCollection(duplicates = []) {
+  const chunks = [];
+  return {
+    chunks,
+    insertChunk: async (documents) => {
+      chunks.push(documents);
+      const writeErrors = [];
+      documents.forEach((document, index) => {
+        if (duplicates.includes(document.email)) {
+          writeErrors.push({ index, code: 11000, message: `duplicate key { email: "${document.email}" }` });
+        }
+      });
+      return { writeErrors };
+    },
+  };
+}
+
+describe('importUsers', () => {
+  test('NDJSON rows are parsed, validated and inserted in chunks', async () => {
+    const collection = fakeCollection(['taken@example.com']);
+    const text = [
+      '{"name":"Ann","email":"ann@example.com","age":31}',
+      '',
+      '{"name":"Bob","email":"taken@example.com"}',
+      'not json',
+      '[1, 2]',
+      '{"name":"Cy"}',
+      '{"name":"Dee","email":"dee@example.com"}',
+    ].join('\r\n');
+
+    const report = await importUsers(body(text), { format: 'ndjson', toDocument, ...collection, chunkSize: 2 });
+
+    expect(collection.chunks.map((chunk) => chunk.map((user) => user.name))).toEqual([['Ann', 'Bob'], ['Dee']]);
+    expect(collection.chunks[0][0]).toEqual({ name: 'Ann', email: 'ann@example.com', age: 31 });
+    expect(report).toMatchObject({ rows: 6, inserted: 2, duplicates: 1, invalid: 3, errorsTruncated: false });
+    // A chunk's duplicates are known once its insert finishes, after later rows were parsed
+    expect(report.errors.sort((x, y) => x.line - y.line)).toEqual([
+      { line: 3, reason: 'duplicate', message: 'duplicate key { email: "taken@example.com" }' },
+      { line: 4, reason: 'invalid', message: 'invalid JSON' },
+      { line: 5, reason: 'invalid', message: 'expected a JSON object' },
+      { line: 6, reason: 'invalid', message: 'name and email are required' },
+    ]);
+  });
+
+  test('CSV rows follow the header, with quoting, integer ages and empty cells left out', async () => {
+    const collection = fakeCollection();
+    const text = [
+      'name, email ,age,city',
+      'Ann,ann@example.com,31,Oslo',
+      '"Smith, Bob","bob@example.com",,"He said ""hi""',
+      'on two lines"',
+      'Cy,cy@example.com,forty,Rome',
+      'Dee,dee@example.com',
+    ].join('\n');
+
+    const report = await importUsers(body(text), { format: 'csv', toDocument, ...collection });
+
+    expect(collection.chunks[0]).toEqual([
+      { name: 'Ann', email: 'ann@example.com', age: 31, city: 'Oslo' },
+      { name: 'Smith, Bob', email: 'bob@example.com', city: 'He said "hi"\non two lines' },
+      { name: 'Cy', email: 'cy@example.com', age: 'forty', city: 'Rome' },
+    ]);
+    expect(report).toMatchObject({ rows: 4, inserted: 3, invalid: 1 });
+    expect(report.errors).toEqual([{ line: 6, reason: 'invalid', message: 'expected 4 columns, got 2' }]);
+  });
+
+  test('an unterminated quoted field is reported against the line it starts on', async () => {
+    const report = await importUsers(body('name,email\n"Ann,ann@example.com\n'), {
+      format: 'csv',
+      toDocument,
+      ...fakeCollection(),
+    });
+
+    expect(report.errors).toEqual([{ line: 2, reason: 'invalid', message: 'unterminated quoted field' }]);
+  });
+
+  test('a line over maxLineLength fails with 413 and the report so far', async () => {
+    const text = `{"name":"Ann","email":"ann@example.com"}\n{"name":"${'x'.repeat(100)}"}\n`;
+
+    const err = await importUsers(body(text), { format: 'ndjson', toDocument, ...fakeCollection(), maxLineLength: 64 })
+      .catch((error) => error);
+
+    expect(err.status).toBe(413);
+    expect(err.message).toBe('Line 2 is longer than 64 characters');
+    expect(err.report).toMatchObject({ rows: 1, inserted: 0 });
+  });
+
+  test('a quoted CSV row over maxLineLength fails with 413', async () => {
+    const text = `name,email\n"${'x\n'.repeat(40)}`;
+
+    const err = await importUsers(body(text), { format: 'csv', toDocument, ...fakeCollection(), maxLineLength: 64 })
+      .catch((error) => error);
+
+    expect(err.status).toBe(413);
+    expect(err.message).toBe('Row at line 2 is longer than 64 characters');
+  });
+
+  test('errors past maxReportedErrors are counted but not listed', async () => {
+    const text = 'x\n'.repeat(5);
+
+    const report = await importUsers(body(text), { format: 'ndjson', toDocument, ...fakeCollection(), maxReportedErrors: 2 });
+
+    expect(report).toMatchObject({ rows: 5, invalid: 5, errorsTruncated: true });
+    expect(report.errors.map(({ line }) => line)).toEqual([1, 2]);
+  });
+
+  test('a failed insert rejects the import with the report', async () => {
+    const text = '{"name":"Ann","email":"ann@example.com"}\n{"name":"Bob","email":"bob@example.com"}\n';
+    const insertChunk = async () => {
+      throw new Error('not primary');
+    };
+
+    const err = await importUsers(body(text), { format: 'ndjson', toDocument, insertChunk, chunkSize: 1 })
+      .catch((error) => error);
+
+    expect(err.message).toBe('not primary');
+    expect(err.report).toMatchObject({ inserted: 0 });
+  });
+
+  test('an unknown format is rejected with 415', async () => {
+    await expect(importUsers(body(''), { format: 'xml', toDocument, ...fakeCollection() }))
+      .rejects.toMatchObject({ status: 415 });
+  });
+});
@@ -0,0 +1,145 @@
+const { UserStats, STATS_COLLECTION } = require('../user-stats');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Records every call; aggregations resolve to results() after delayMs
+function fakeDb({ results = () => [], delayMs = 0 } = {}) {
+  const calls = [];
+  const collection = (name) => ({
+    aggregate: (pipeline, options) => ({
+      toArray: async () => {
+        calls.push({ name, op: 'aggregate', pipeline, options, at: Date.now() });
+        if (delayMs > 0) await sleep(delayMs);
+        return results(name, pipeline);
+      },
+    }),
+    deleteMany: async (filter) => calls.push({ name, op: 'deleteMany', filter }),
+    updateOne: async (filter, update) => calls.push({ name, op: 'updateOne', filter, update, at: Date.now() }),
+    findOne: async () => null,
+  });
+  return { calls, db: () => ({ collection }) };
+}
+
+describe('UserStats', () => {
+  let stats;
+
+  afterEach(async () => {
+    await stats.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('incremental materialization', () => {
+    test('a write marks the groups the user left and joined', () => {
+      stats = new UserStats({ ...fakeDb(), mode: 'materialized', materialize: 'incremental', incrementalDelay: 60000 });
+
+      stats.userChanged({ city: 'Oslo', age: 30 }, { city: 'Rome', age: 30 });
+      stats.userChanged(null, { name: 'no city or age' });
+      stats.userChanged({ city: 'Oslo', age: 31 }, null);
+      // The same group before and after: nothing to refresh
+      stats.userChanged({ city: 'Paris', age: 40, name: 'old' }, { city: 'Paris', age: 40, name: 'new' });
+      // Already marked
+      stats.userChanged(null, { city: 'Rome', age: 30 });
+
+      expect(Array.from(stats.dirty.values())).toEqual([
+        { city: 'Oslo', age: 30 },
+        { city: 'Rome', age: 30 },
+        { city: null, age: null },
+        { city: 'Oslo', age: 31 },
+      ]);
+      expect(stats.stats()).toMatchObject({ pendingGroups: 4 });
+    });
+
+    test('the marked groups are re-aggregated once, incrementalDelay after the first write', async () => {
+      const { calls, db } = fakeDb();
+      stats = new UserStats({ db, mode: 'materialized', materialize: 'incremental', incrementalDelay: 20 });
+
+      stats.userChanged({ city: 'Oslo', age: 30 }, { city: 'Rome', age: 30 });
+      stats.userChanged(null, { city: 'Rome', age: 31 });
+      await sleep(50);
+      await stats.queue;
+
+      const [aggregate, deleted, marked] = calls;
+      const groups = [{ city: 'Oslo', age: 30 }, { city: 'Rome', age: 30 }, { city: 'Rome', age: 31 }];
+      expect(calls).toHaveLength(3);
+      expect(aggregate).toMatchObject({ name: 'users', op: 'aggregate' });
+      expect(aggregate.pipeline[0]).toEqual({ $match: { $or: groups } });
+      expect(deleted).toMatchObject({ name: STATS_COLLECTION, filter: { _id: { $in: groups } } });
+      expect(marked).toMatchObject({ name: 'materialized_views', filter: { _id: STATS_COLLECTION } });
+      expect(stats.stats()).toMatchObject({ pendingGroups: 0, refreshes: { incremental: 1, failed: 0 } });
+    });
+
+    test('groups of a failed refresh are marked again for the next one', async () => {
+      stats = new UserStats({
+        db: () => ({
+          collection: () => ({
+            aggregate: () => ({ toArray: async () => { throw new Error('not primary'); } }),
+          }),
+        }),
+        mode: 'materialized',
+        materialize: 'incremental',
+        incrementalDelay: 60000,
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      stats.userChanged(null, { city: 'Oslo', age: 30 });
+      await stats.enqueue(() => stats.refreshGroups());
+
+      expect(Array.from(stats.dirty.values())).toEqual([{ city: 'Oslo', age: 30 }]);
+      expect(stats.stats().refreshes).toMatchObject({ incremental: 0, failed: 1 });
+    });
+
+    test('the refresh time is when the refresh started', async () => {
+      const { calls, db } = fakeDb({ delayMs: 30 });
+      stats = new UserStats({ db, mode: 'materialized', refreshInterval: 0 });
+
+      stats.start();
+      await stats.queue;
+
+      const aggregate = calls.find(({ op }) => op === 'aggregate');
+      const marked = calls.find(({ op }) => op === 'updateOne');
+      const { refreshedAt } = marked.update.$set;
+      expect(aggregate.pipeline.find((stage) => stage.$set).$set.refreshedAt).toBe(refreshedAt);
+      expect(refreshedAt.getTime()).toBeLessThanOrEqual(aggregate.at);
+      expect(marked.at - refreshedAt.getTime()).toBeGreaterThanOrEqual(25);
+    });
+  });
+
+  describe('cached mode', () => {
+    const result = [{ _id: 'Oslo', userCount: 1, avgAge: 30 }];
+
+    test('results are cached per minAge until a write changes an age or city', async () => {
+      const { calls, db } = fakeDb({ results: () => result });
+      stats = new UserStats({ db, mode: 'cached' });
+
+      expect(await stats.get(18)).toMatchObject({ stats: result, source: 'live' });
+      expect(await stats.get(18)).toMatchObject({ stats: result, source: 'cached' });
+      stats.userChanged({ city: 'Oslo', age: 30, name: 'a' }, { city: 'Oslo', age: 30, name: 'b' });
+      expect(await stats.get(18)).toMatchObject({ source: 'cached' });
+
+      stats.userChanged({ city: 'Oslo', age: 30 }, { city: 'Oslo', age: 31 });
+      expect(await stats.get(18)).toMatchObject({ source: 'live' });
+      expect(calls).toHaveLength(2);
+      expect(stats.stats()).toMatchObject({ invalidations: 1 });
+    });
+
+    test('a write through another instance drops cached results', async () => {
+      stats = new UserStats({ ...fakeDb({ results: () => result }), mode: 'cached' });
+
+      await stats.get(18);
+      stats.remoteUserChanged();
+
+      expect(await stats.get(18)).toMatchObject({ source: 'live' });
+    });
+
+    test('a load overtaken by a write is not cached', async () => {
+      stats = new UserStats({ ...fakeDb({ results: () => result, delayMs: 20 }), mode: 'cached' });
+
+      const loading = stats.get(18);
+      await sleep(5);
+      stats.userChanged(null, { city: 'Oslo', age: 30 });
+      await loading;
+
+      expect(await stats.cache.get(18)).toBeUndefined();
+    });
+  });
+});
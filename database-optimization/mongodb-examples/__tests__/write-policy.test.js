@@ -0,0 +1,115 @@
+const { LRUCache } = require('../cache');
+const { WritePolicy } = require('../write-policy');
+
+// A promise with its resolve exposed, to hold a load until a write lands
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe('WritePolicy', () => {
+  let cache;
+  let policy;
+
+  function createPolicy(name, options = {}) {
+    policy = new WritePolicy({
+      policy: name,
+      cache,
+      load: async (userId) => ({ user: { _id: userId, name: 'reloaded' } }),
+      store: (userId, bundle) => cache.set(`user:${userId}`, { data: bundle }),
+      ...options,
+    });
+    return policy;
+  }
+
+  beforeEach(() => {
+    cache = new LRUCache({ ttl: 60000 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await policy.close();
+    cache.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('load versions', () => {
+    test('a load overtaken by a write is returned but not cached', async () => {
+      createPolicy('invalidate');
+      const loading = deferred();
+      const read = policy.loadAndStore(['1'], () => loading.promise, { fill: true });
+
+      await policy.write('1', { persist: async () => 'persisted' });
+      loading.resolve([{ user: { _id: '1', name: 'before the write' } }]);
+
+      expect(await read).toEqual([{ user: { _id: '1', name: 'before the write' } }]);
+      expect(await cache.get('user:1')).toBeUndefined();
+      expect(policy.stats().discarded).toBe(1);
+    });
+
+    test('write-through caches the reload, not the load it overtook', async () => {
+      createPolicy('write-through');
+      const loading = deferred();
+      const read = policy.loadAndStore(['1'], () => loading.promise, { fill: true });
+
+      await policy.write('1', { persist: async () => 'persisted' });
+      loading.resolve([{ user: { _id: '1', name: 'before the write' } }]);
+      await read;
+
+      expect(await cache.get('user:1')).toEqual({ data: { user: { _id: '1', name: 'reloaded' } } });
+    });
+
+    test('a write bumps the version only while a load is in flight', async () => {
+      createPolicy('invalidate');
+      await policy.write('1', { persist: async () => 'persisted' });
+      expect(policy.version('user:1')).toBe(0);
+
+      const loading = deferred();
+      const read = policy.loadAndStore(['1'], () => loading.promise);
+      await policy.write('1', { persist: async () => 'persisted' });
+      expect(policy.version('user:1')).toBe(1);
+
+      loading.resolve([{}]);
+      await read;
+      expect(policy.version('user:1')).toBe(0);
+      expect(policy.loads.size).toBe(0);
+    });
+  });
+
+  describe('write-behind', () => {
+    test('a failed write drops its bundle and the rest of the batch is still flushed', async () => {
+      createPolicy('write-behind', { flushInterval: 60000 });
+      const persisted = [];
+      const persist = (userId) => async () => {
+        if (userId === '2') throw new Error('duplicate key');
+        persisted.push(userId);
+      };
+      for (const userId of ['1', '2', '3']) {
+        await policy.write(userId, { persist: persist(userId), apply: () => ({ name: `user ${userId}` }) });
+      }
+      expect(await cache.get('user:2')).toEqual({ data: { name: 'user 2' } });
+
+      await policy.flush();
+
+      expect(persisted).toEqual(['1', '3']);
+      expect(await cache.get('user:2')).toBeUndefined();
+      expect(policy.stats()).toMatchObject({ queued: 0, flushed: 2, failed: 1 });
+    });
+
+    test('a cache error while dropping a failed write does not abort the flush', async () => {
+      createPolicy('write-behind', { flushInterval: 60000 });
+      const persisted = [];
+      await policy.write('1', { persist: async () => { throw new Error('timeout'); } });
+      await policy.write('2', { persist: async () => persisted.push('2') });
+      jest.spyOn(cache, 'delete').mockRejectedValue(new Error('cache unavailable'));
+
+      await expect(policy.flush()).resolves.toBeUndefined();
+
+      expect(persisted).toEqual(['2']);
+      expect(policy.stats()).toMatchObject({ queued: 0, flushed: 1, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,19 @@
+const { MemoryAmqpBroker } = require('./memory-amqp');
+
+// One shared in-process broker so every memory:// connection sees the same
+// queues
+let memoryBroker = null;
+
+// amqplib connection for amqp:// URLs, in-process stand-in for memory://.
+// amqplib is only loaded when a real broker is configured.
+async function connectAmqp(url) {
+  if (url.startsWith('memory:')) {
+    if (!memoryBroker) memoryBroker = new MemoryAmqpBroker();
+    return memoryBroker.connect();
+  }
+  return require('amqplib').connect(url);
+}
+
+module.exports = {
+  connectAmqp,
+};
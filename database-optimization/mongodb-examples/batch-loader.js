@@ -0,0 +1,64 @@
+// DataLoader-style batching: every load() issued in the same tick is
+// collected and handed to batchFn as one array of keys. Loaders are meant to
+// live for a single request, so the memoized results never go stale.
+//
+// batchFn(keys) must resolve to an array of the same length and order as
+// keys; an Error in a slot rejects only that key's load().
+
+class BatchLoader {
+  constructor(batchFn, options = {}) {
+    this.batchFn = batchFn;
+    this.maxBatchSize = options.maxBatchSize || Infinity;
+    this.memo = new Map();
+    this.queue = [];
+    this.batches = 0;
+  }
+
+  load(key) {
+    const memoKey = String(key);
+    if (this.memo.has(memoKey)) return this.memo.get(memoKey);
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, resolve, reject });
+      if (this.queue.length === 1) {
+        process.nextTick(() => this.dispatch());
+      }
+    });
+    this.memo.set(memoKey, promise);
+    return promise;
+  }
+
+  // Like Promise.allSettled: one failing key doesn't reject the others
+  loadMany(keys) {
+    return Promise.all(keys.map((key) => this.load(key).catch((err) => err)));
+  }
+
+  dispatch() {
+    const queue = this.queue;
+    this.queue = [];
+
+    for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+      this.runBatch(queue.slice(i, i + this.maxBatchSize));
+    }
+  }
+
+  async runBatch(batch) {
+    this.batches++;
+    try {
+      const values = await this.batchFn(batch.map(({ key }) => key));
+      if (!Array.isArray(values) || values.length !== batch.length) {
+        throw new Error(`Batch function returned ${values && values.length} values for ${batch.length} keys`);
+      }
+      batch.forEach(({ resolve, reject }, i) => {
+        if (values[i] instanceof Error) reject(values[i]);
+        else resolve(values[i]);
+      });
+    } catch (err) {
+      batch.forEach(({ reject }) => reject(err));
+    }
+  }
+}
+
+module.exports = {
+  BatchLoader,
+};
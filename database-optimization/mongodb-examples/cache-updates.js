@@ -0,0 +1,275 @@
+const { EventEmitter } = require('events');
+
+// Cache updates over RabbitMQ. Writes publish
+//   { type: 'CACHE_UPDATE', key, action, origin }
+// (action: 'evict' (default) or 'refresh'; origin: the publishing instance)
+// through a fanout exchange to a durable work queue, where workers apply
+// them to the shared cache. A failed update is retried with exponential
+// backoff; messages that keep failing, or can't be understood at all, are
+// dead-lettered instead of blocking the queue. The work queue hands each
+// update to one worker, so instances that keep cached data in process also
+// subscribe with a queue of their own and evict their copy. The topology,
+// declared by publishers, workers and subscribers alike so any can start
+// first:
+//   <queue>.fanout       where updates are published, bound to <queue> and
+//                        to every subscriber's queue
+//   <queue>              the work queue, dead-lettering through <queue>.dlx
+//   <queue>.retry.<ms>   one per backoff delay, without consumers: messages
+//                        wait out the queue's TTL there, then expire back
+//                        into <queue>
+//   <queue>.dead         messages that failed every retry, or were malformed
+//   amq.gen-...          one per subscriber, exclusive, so the broker
+//                        deletes it when the subscriber goes away
+// Separate retry queues avoid per-message TTLs, which RabbitMQ only applies
+// at the head of a queue.
+
+const TYPE = 'CACHE_UPDATE';
+const ACTIONS = ['evict', 'refresh'];
+
+// retryDelay, doubling on every retry up to maxRetryDelay
+function backoffDelays({ maxRetries, retryDelay, maxRetryDelay }) {
+  return Array.from({ length: maxRetries }, (_, retry) => Math.min(retryDelay * 2 ** retry, maxRetryDelay));
+}
+
+const retryQueue = (queue, delayMs) => `${queue}.retry.${delayMs}`;
+const fanoutExchange = (queue) => `${queue}.fanout`;
+
+async function assertTopology(channel, queue, retryDelays) {
+  const deadLetterExchange = `${queue}.dlx`;
+  await channel.assertExchange(deadLetterExchange, 'direct', { durable: true });
+  await channel.assertQueue(`${queue}.dead`, { durable: true });
+  await channel.bindQueue(`${queue}.dead`, deadLetterExchange, 'dead');
+
+  await channel.assertQueue(queue, {
+    durable: true,
+    deadLetterExchange,
+    deadLetterRoutingKey: 'dead',
+  });
+  for (const delayMs of new Set(retryDelays)) {
+    await channel.assertQueue(retryQueue(queue, delayMs), {
+      durable: true,
+      messageTtl: delayMs,
+      // Expired messages go back through the default exchange
+      deadLetterExchange: '',
+      deadLetterRoutingKey: queue,
+    });
+  }
+
+  await channel.assertExchange(fanoutExchange(queue), 'fanout', { durable: true });
+  await channel.bindQueue(queue, fanoutExchange(queue), '');
+}
+
+// Throws for messages no retry can fix
+function parseUpdate(content) {
+  let update;
+  try {
+    update = JSON.parse(content.toString());
+  } catch (err) {
+    throw new Error('message is not JSON');
+  }
+  if (!update || update.type !== TYPE) throw new Error(`expected type ${TYPE}`);
+  if (typeof update.key !== 'string' || update.key === '') throw new Error('key must be a non-empty string');
+  const action = update.action === undefined ? 'evict' : update.action;
+  if (!ACTIONS.includes(action)) throw new Error(`action must be one of ${ACTIONS.join(', ')}`);
+  return { key: update.key, action, origin: update.origin };
+}
+
+class CacheUpdatePublisher {
+  constructor({ queue, retryDelays, origin }) {
+    this.queue = queue;
+    this.retryDelays = retryDelays;
+    this.origin = origin;
+    this.connection = null;
+    this.channel = null;
+    this.published = 0;
+    // Publishes after which the channel's write buffer was full; amqplib
+    // still sends them, but the broker or network isn't keeping up
+    this.backpressured = 0;
+  }
+
+  async start(connection) {
+    this.connection = connection;
+    this.channel = await connection.createChannel();
+    this.channel.on('error', (err) => console.error('Cache update publisher channel error:', err.message));
+    await assertTopology(this.channel, this.queue, this.retryDelays);
+  }
+
+  publish(key, action = 'evict') {
+    if (!this.channel) throw new Error('Cache update publisher is not started');
+    const message = { type: TYPE, key, action, origin: this.origin, at: Date.now() };
+    const written = this.channel.publish(fanoutExchange(this.queue), '', Buffer.from(JSON.stringify(message)), {
+      persistent: true,
+      contentType: 'application/json',
+    });
+    this.published++;
+    if (!written) this.backpressured++;
+  }
+
+  // Readiness: the broker still answers. Checked on a channel of its own,
+  // since a failed check (the queue was deleted) closes the channel it ran on
+  // and publishing would fail from then on.
+  async check() {
+    const channel = await this.connection.createChannel();
+    channel.on('error', () => {});
+    try {
+      return await channel.checkQueue(this.queue);
+    } finally {
+      // Already closed by the broker if the check failed
+      await channel.close().catch(() => {});
+    }
+  }
+
+  stats() {
+    return { queue: this.queue, published: this.published, backpressured: this.backpressured };
+  }
+
+  async close() {
+    if (this.channel) await this.channel.close();
+  }
+}
+
+// apply({ key, action }) updates the cache; a rejection means retry later.
+// Up to prefetch messages are applied at once. Emits 'processed', 'retry'
+// and 'dead' with the update (null when it couldn't be parsed).
+class CacheUpdateWorker extends EventEmitter {
+  constructor({ queue, prefetch = 10, retryDelays, apply }) {
+    super();
+    this.queue = queue;
+    this.prefetch = prefetch;
+    this.retryDelays = retryDelays;
+    this.apply = apply;
+    this.channel = null;
+    this.consumerTag = null;
+    this.inFlight = new Set();
+    this.counts = { processed: 0, retried: 0, deadLettered: 0 };
+  }
+
+  async start(connection) {
+    this.channel = await connection.createChannel();
+    this.channel.on('error', (err) => console.error('Cache update worker channel error:', err.message));
+    await assertTopology(this.channel, this.queue, this.retryDelays);
+    await this.channel.prefetch(this.prefetch);
+    const { consumerTag } = await this.channel.consume(this.queue, (message) => {
+      // null: the broker cancelled the consumer (the queue was deleted)
+      if (message === null) return;
+      // Only settling the message can fail here, e.g. on a closed channel
+      const handling = this.handle(message)
+        .catch((err) => console.error('Cache update handling failed:', err.message))
+        .finally(() => this.inFlight.delete(handling));
+      this.inFlight.add(handling);
+    });
+    this.consumerTag = consumerTag;
+  }
+
+  async handle(message) {
+    let update;
+    try {
+      update = parseUpdate(message.content);
+    } catch (err) {
+      return this.deadLetter(message, null, err);
+    }
+
+    try {
+      await this.apply(update);
+    } catch (err) {
+      return this.retry(message, update, err);
+    }
+    this.channel.ack(message);
+    this.counts.processed++;
+    this.emit('processed', update);
+  }
+
+  // Republishes to the retry queue for the next delay, then acks the
+  // original; past the last delay the message is dead-lettered
+  retry(message, update, err) {
+    const headers = message.properties.headers || {};
+    const retries = Number(headers['x-retries']) || 0;
+    if (retries >= this.retryDelays.length) return this.deadLetter(message, update, err);
+
+    const delayMs = this.retryDelays[retries];
+    this.channel.sendToQueue(retryQueue(this.queue, delayMs), message.content, {
+      persistent: true,
+      contentType: message.properties.contentType,
+      headers: { ...headers, 'x-retries': retries + 1, 'x-last-error': err.message },
+    });
+    this.channel.ack(message);
+    this.counts.retried++;
+    this.emit('retry', { update, retries: retries + 1, delayMs, error: err });
+  }
+
+  deadLetter(message, update, err) {
+    this.channel.nack(message, false, false);
+    this.counts.deadLettered++;
+    console.error(`Cache update dead-lettered to ${this.queue}.dead:`, err.message);
+    this.emit('dead', { update, error: err });
+  }
+
+  stats() {
+    return { queue: this.queue, prefetch: this.prefetch, inFlight: this.inFlight.size, ...this.counts };
+  }
+
+  // Stops consuming and lets running updates finish; anything still
+  // unacknowledged is redelivered by the broker
+  async close() {
+    if (!this.channel) return;
+    if (this.consumerTag) await this.channel.cancel(this.consumerTag);
+    await Promise.all(this.inFlight);
+    await this.channel.close();
+  }
+}
+
+// Gets every update, for evicting this instance's in-process copy of the key
+// with evict({ key, action }). Updates published by this instance (origin)
+// are skipped, its own write has taken care of them. There are no retries:
+// a subscriber's queue only lives as long as its connection.
+class CacheUpdateSubscriber {
+  constructor({ queue, retryDelays, origin, evict }) {
+    this.queue = queue;
+    this.retryDelays = retryDelays;
+    this.origin = origin;
+    this.evict = evict;
+    this.channel = null;
+    this.counts = { evicted: 0, skipped: 0, failed: 0 };
+  }
+
+  async start(connection) {
+    this.channel = await connection.createChannel();
+    this.channel.on('error', (err) => console.error('Cache update subscriber channel error:', err.message));
+    await assertTopology(this.channel, this.queue, this.retryDelays);
+    const { queue } = await this.channel.assertQueue('', { exclusive: true, autoDelete: true });
+    await this.channel.bindQueue(queue, fanoutExchange(this.queue), '');
+    await this.channel.consume(queue, (message) => {
+      if (message !== null) this.handle(message);
+    }, { noAck: true });
+  }
+
+  async handle(message) {
+    try {
+      const update = parseUpdate(message.content);
+      if (update.origin !== undefined && update.origin === this.origin) {
+        this.counts.skipped++;
+        return;
+      }
+      await this.evict(update);
+      this.counts.evicted++;
+    } catch (err) {
+      this.counts.failed++;
+      console.error('Cache update eviction failed:', err.message);
+    }
+  }
+
+  stats() {
+    return { ...this.counts };
+  }
+
+  async close() {
+    if (this.channel) await this.channel.close();
+  }
+}
+
+module.exports = {
+  backoffDelays,
+  CacheUpdatePublisher,
+  CacheUpdateWorker,
+  CacheUpdateSubscriber,
+};
@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+
+// Cache backends with a common async interface:
+//   get(key) -> value | undefined
+//   set(key, value, ttl?, { fill }?)
+//   delete(key)
+//   clear()
+//   stats()
+//
+// fill marks a read-through fill (a value just loaded from the database)
+// rather than a write; only the tiered backend tells the two apart.
+//
+// Every backend is bounded: in-process backends by entry count (and bytes for
+// LRU) plus a background sweep of expired entries, Redis by key expiry.
+
+const DEFAULT_TTL = 300000; // 5 minutes
+const DEFAULT_SWEEP_INTERVAL = 60000;
+
+// Rough size of a cached value, used for the LRU byte budget
+function estimateSize(value) {
+  if (value === undefined) return 0;
+  try {
+    return Buffer.byteLength(JSON.stringify(value));
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Map-backed cache with per-entry expiry. Entries are evicted in insertion
+// order once maxEntries is reached.
+class TTLCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.maxEntries = options.maxEntries || Infinity;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+
+    // Expired entries are removed in the background instead of waiting
+    // for the same key to be read again
+    const sweepInterval = options.sweepInterval || DEFAULT_SWEEP_INTERVAL;
+    this.sweeper = setInterval(() => this.sweep(), sweepInterval);
+    this.sweeper.unref();
+  }
+
+  get name() {
+    return 'ttl';
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key, entry);
+      this.expirations++;
+      this.misses++;
+      return undefined;
+    }
+    this.touch(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    const existing = this.entries.get(key);
+    if (existing) this.remove(key, existing);
+
+    const entry = { value, expiresAt: Date.now() + ttl, size: 0 };
+    this.entries.set(key, entry);
+    this.evict();
+  }
+
+  async delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.remove(key, entry);
+    return true;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.remove(key, entry);
+        this.expirations++;
+      }
+    }
+  }
+
+  // Hook for LRU to move an entry to the most-recently-used position
+  touch() {}
+
+  remove(key) {
+    this.entries.delete(key);
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey, this.entries.get(oldestKey));
+      this.evictions++;
+    }
+  }
+
+  stats() {
+    return {
+      backend: this.name,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      expirations: this.expirations,
+    };
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+// LRU cache from benchmarks/caching-benchmarks.js, extended with expiry and
+// a byte budget alongside the entry limit
+class LRUCache extends TTLCache {
+  constructor(options = {}) {
+    super(options);
+    this.maxBytes = options.maxBytes || Infinity;
+    this.bytes = 0;
+  }
+
+  get name() {
+    return 'lru';
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    const size = estimateSize(value);
+    // A value larger than the whole budget would evict everything else
+    if (size > this.maxBytes) {
+      await this.delete(key);
+      return;
+    }
+
+    const existing = this.entries.get(key);
+    if (existing) this.remove(key, existing);
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl, size });
+    this.bytes += size;
+    this.evict();
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  remove(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey, this.entries.get(oldestKey));
+      this.evictions++;
+    }
+  }
+
+  stats() {
+    return {
+      ...super.stats(),
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+    };
+  }
+}
+
+// Redis-backed cache. Values are stored as JSON, so ObjectIds and Dates come
+// back as strings. Expiry and memory limits are handled by Redis itself.
+class RedisCache {
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('RedisCache requires a connected redis client');
+    }
+    this.client = options.client;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.prefix = options.prefix || 'cache:';
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get name() {
+    return 'redis';
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    if (raw === null || raw === undefined) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    return JSON.parse(raw);
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), { PX: ttl });
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  async clear() {
+    // SCAN instead of KEYS so a large keyspace doesn't block Redis
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+    if (keys.length > 0) await this.client.del(keys);
+  }
+
+  stats() {
+    return {
+      backend: this.name,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+
+  close() {}
+}
+
+// Two-level cache: an in-process LRU (L1) in front of Redis (L2). Writes and
+// deletes are broadcast over Redis pub/sub so every instance drops its L1
+// copy; the short L1 TTL bounds staleness if a message is ever missed. Fills
+// aren't broadcast: they cache what the database already has, so no other
+// instance's copy is outdated by them.
+class TieredCache {
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('TieredCache requires a connected redis client');
+    }
+    this.client = options.client;
+    this.channel = options.invalidationChannel || 'cache:invalidate';
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.l1 = new LRUCache({ ...options, ttl: options.l1Ttl || options.ttl });
+    this.l2 = new RedisCache(options);
+    this.subscriber = null;
+    this.invalidationsSent = 0;
+    this.invalidationsReceived = 0;
+  }
+
+  get name() {
+    return 'tiered';
+  }
+
+  // Pub/sub needs its own connection in node-redis
+  async connect() {
+    this.subscriber = this.client.duplicate();
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(this.channel, (message) => this.onInvalidate(message));
+  }
+
+  async get(key) {
+    const local = await this.l1.get(key);
+    if (local !== undefined) return local;
+
+    const shared = await this.l2.get(key);
+    if (shared !== undefined) await this.l1.set(key, shared);
+    return shared;
+  }
+
+  async set(key, value, ttl, { fill = false } = {}) {
+    await this.l2.set(key, value, ttl);
+    await this.l1.set(key, value, ttl ? Math.min(ttl, this.l1.ttl) : undefined);
+    if (!fill) await this.publish({ key });
+  }
+
+  async delete(key) {
+    await this.l1.delete(key);
+    const deleted = await this.l2.delete(key);
+    await this.publish({ key });
+    return deleted;
+  }
+
+  async clear() {
+    await this.l1.clear();
+    await this.l2.clear();
+    await this.publish({ all: true });
+  }
+
+  async publish(message) {
+    this.invalidationsSent++;
+    await this.client.publish(this.channel, JSON.stringify({ ...message, origin: this.instanceId }));
+  }
+
+  onInvalidate(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (err) {
+      console.error('Ignoring malformed cache invalidation:', raw);
+      return;
+    }
+    // Our own L1 is already up to date
+    if (message.origin === this.instanceId) return;
+
+    this.invalidationsReceived++;
+    if (message.all) {
+      this.l1.clear();
+    } else {
+      this.l1.delete(message.key);
+    }
+  }
+
+  stats() {
+    return {
+      backend: this.name,
+      instanceId: this.instanceId,
+      invalidationsSent: this.invalidationsSent,
+      invalidationsReceived: this.invalidationsReceived,
+      l1: this.l1.stats(),
+      l2: this.l2.stats(),
+    };
+  }
+
+  async close() {
+    this.l1.close();
+    if (this.subscriber) {
+      await this.subscriber.unsubscribe(this.channel);
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+}
+
+// Caches nothing: every read misses. A baseline for comparing the other
+// backends, e.g. in benchmarks/load-test.js.
+class NullCache {
+  constructor() {
+    this.misses = 0;
+  }
+
+  get name() {
+    return 'none';
+  }
+
+  async get() {
+    this.misses++;
+    return undefined;
+  }
+
+  async set() {}
+
+  async delete() {
+    return false;
+  }
+
+  async clear() {}
+
+  stats() {
+    return { backend: this.name, size: 0, hits: 0, misses: this.misses };
+  }
+
+  close() {}
+}
+
+const backends = {
+  none: NullCache,
+  ttl: TTLCache,
+  lru: LRUCache,
+  redis: RedisCache,
+  tiered: TieredCache,
+};
+
+// Pick a backend by name, e.g. from CACHE_BACKEND
+function createCache(options = {}) {
+  const backend = options.backend || 'lru';
+  const Backend = backends[backend];
+  if (!Backend) {
+    throw new Error(`Unknown cache backend "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+  return new Backend(options);
+}
+
+module.exports = {
+  TTLCache,
+  LRUCache,
+  RedisCache,
+  TieredCache,
+  NullCache,
+  createCache,
+  estimateSize,
+};
@@ -0,0 +1,156 @@
+const { EventEmitter } = require('events');
+
+// Circuit breaker over a sliding window of the last windowSize calls.
+//   closed     calls go through; once minimumCalls are in the window, the
+//              breaker opens if too many failed or were slow
+//   open       calls are rejected (err.code 'EBREAKEROPEN', err.retryAfterMs)
+//              until openMs has passed
+//   half-open  up to halfOpenCalls trial calls go through; all succeeding
+//              closes the breaker, any failure opens it again
+// Emits 'state' ({ name, from, to }) on every transition and 'call'
+// ({ name, outcome, durationMs }) with outcome success, failure, timeout or
+// rejected.
+
+const STATES = ['closed', 'half-open', 'open'];
+
+// Client errors (validation, not found) say nothing about the database
+const defaultIsFailure = (err) => !(err.status && err.status < 500);
+
+function breakerOpenError(name, retryAfterMs) {
+  const err = new Error(`${name} is unavailable (circuit open)`);
+  err.code = 'EBREAKEROPEN';
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+class CircuitBreaker extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.windowSize = options.windowSize || 20;
+    this.minimumCalls = options.minimumCalls || 10;
+    this.failureRate = options.failureRate || 0.5;
+    this.slowCallMs = options.slowCallMs || 1000;
+    this.slowCallRate = options.slowCallRate || 1;
+    this.openMs = options.openMs || 30000;
+    this.halfOpenCalls = options.halfOpenCalls || 3;
+    this.isFailure = options.isFailure || defaultIsFailure;
+
+    this.state = 'closed';
+    this.window = [];
+    this.openedAt = 0;
+    this.trialsStarted = 0;
+    this.trialsSucceeded = 0;
+    this.counts = { success: 0, failure: 0, timeout: 0, rejected: 0 };
+    this.opened = 0;
+  }
+
+  async execute(fn) {
+    if (!this.allowRequest()) {
+      this.counts.rejected++;
+      this.emit('call', { name: this.name, outcome: 'rejected', durationMs: 0 });
+      throw breakerOpenError(this.name, this.retryAfterMs());
+    }
+
+    const start = Date.now();
+    try {
+      const result = await fn();
+      this.onResult(false, Date.now() - start);
+      return result;
+    } catch (err) {
+      const durationMs = Date.now() - start;
+      if (this.isFailure(err)) {
+        this.onResult(true, durationMs, err.code === 'ETIMEDOUT' || err.code === 50);
+      } else {
+        this.onResult(false, durationMs);
+      }
+      throw err;
+    }
+  }
+
+  allowRequest() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.openMs) return false;
+      this.transition('half-open');
+    }
+    if (this.state === 'half-open') {
+      if (this.trialsStarted >= this.halfOpenCalls) return false;
+      this.trialsStarted++;
+    }
+    return true;
+  }
+
+  onResult(failed, durationMs, timedOut = false) {
+    const outcome = timedOut ? 'timeout' : failed ? 'failure' : 'success';
+    this.counts[outcome]++;
+    this.emit('call', { name: this.name, outcome, durationMs });
+
+    if (this.state === 'half-open') {
+      if (failed) {
+        this.transition('open');
+      } else if (++this.trialsSucceeded >= this.halfOpenCalls) {
+        this.transition('closed');
+      }
+      return;
+    }
+    // Calls that finish after the breaker opened don't count
+    if (this.state !== 'closed') return;
+
+    this.window.push({ failed, slow: durationMs >= this.slowCallMs });
+    if (this.window.length > this.windowSize) this.window.shift();
+
+    const rates = this.rates();
+    if (this.window.length >= this.minimumCalls &&
+      (rates.failureRate >= this.failureRate || rates.slowCallRate >= this.slowCallRate)) {
+      this.transition('open');
+    }
+  }
+
+  rates() {
+    const calls = this.window.length;
+    if (calls === 0) return { failureRate: 0, slowCallRate: 0 };
+    return {
+      failureRate: this.window.filter((call) => call.failed).length / calls,
+      slowCallRate: this.window.filter((call) => call.slow).length / calls,
+    };
+  }
+
+  transition(to) {
+    const from = this.state;
+    if (from === to) return;
+    this.state = to;
+
+    if (to === 'open') {
+      this.openedAt = Date.now();
+      this.opened++;
+    }
+    if (to === 'half-open') {
+      this.trialsStarted = 0;
+      this.trialsSucceeded = 0;
+    }
+    if (to === 'closed') this.window = [];
+    this.emit('state', { name: this.name, from, to });
+  }
+
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(this.openMs - (Date.now() - this.openedAt), 0);
+  }
+
+  stats() {
+    return {
+      name: this.name,
+      state: this.state,
+      ...this.rates(),
+      windowCalls: this.window.length,
+      retryAfterMs: this.retryAfterMs(),
+      opened: this.opened,
+      calls: { ...this.counts },
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+};
@@ -0,0 +1,192 @@
+// Runtime configuration, read from the environment (and .env via dotenv)
+require('dotenv').config();
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function floatFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+module.exports = {
+  port: intFromEnv('PORT', 3000),
+  mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/optimization_demo',
+  // Connection pool configuration, passed straight to MongoClient
+  mongoPool: {
+    maxPoolSize: intFromEnv('MONGO_MAX_POOL_SIZE', 50),
+    minPoolSize: intFromEnv('MONGO_MIN_POOL_SIZE', 10),
+    maxIdleTimeMS: intFromEnv('MONGO_MAX_IDLE_TIME_MS', 30000),
+    // How long a request may wait for a free connection; 0 waits forever
+    waitQueueTimeoutMS: intFromEnv('MONGO_WAIT_QUEUE_TIMEOUT_MS', 0),
+  },
+
+  // memory:// uses the in-process stand-in from memory-redis.js
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+
+  cache: {
+    // none | ttl | lru | redis | tiered
+    backend: process.env.CACHE_BACKEND || 'lru',
+    ttl: intFromEnv('CACHE_TTL_MS', 300000), // 5 minutes
+    // Stale-while-revalidate window ends at the hard TTL; equal to ttl disables it
+    hardTtl: intFromEnv('CACHE_HARD_TTL_MS', intFromEnv('CACHE_TTL_MS', 300000)),
+    // How long past the hard TTL an entry may still be served if Mongo fails
+    staleIfError: intFromEnv('CACHE_STALE_IF_ERROR_MS', 0),
+    // L1 lifetime for the tiered backend; bounds staleness if an invalidation is missed
+    l1Ttl: intFromEnv('CACHE_L1_TTL_MS', 30000),
+    maxEntries: intFromEnv('CACHE_MAX_ENTRIES', 10000),
+    maxBytes: intFromEnv('CACHE_MAX_BYTES', 50 * 1024 * 1024),
+    sweepInterval: intFromEnv('CACHE_SWEEP_INTERVAL_MS', 60000),
+    // Probabilistic early refresh before expiry; 0 disables it
+    earlyRefreshBeta: floatFromEnv('CACHE_EARLY_REFRESH_BETA', 0),
+    // invalidate | write-through | write-behind
+    writePolicy: process.env.CACHE_WRITE_POLICY || 'invalidate',
+    writeBehindFlushInterval: intFromEnv('CACHE_WRITE_BEHIND_FLUSH_MS', 1000),
+  },
+
+  pagination: {
+    defaultLimit: intFromEnv('PAGE_DEFAULT_LIMIT', 20),
+    maxLimit: intFromEnv('PAGE_MAX_LIMIT', 100),
+  },
+
+  queryMonitor: {
+    // Commands at least this slow are recorded and explained
+    slowMs: intFromEnv('SLOW_QUERY_MS', 100),
+    // Fraction of slow reads re-run through explain('executionStats')
+    sampleRate: floatFromEnv('EXPLAIN_SAMPLE_RATE', 1),
+    // Explain each query shape at most once per cooldown
+    explainCooldown: intFromEnv('EXPLAIN_COOLDOWN_MS', 60000),
+    historySize: intFromEnv('SLOW_QUERY_HISTORY', 50),
+    // Flag plans that examine more than this many documents per result
+    maxExaminedRatio: floatFromEnv('EXAMINED_RATIO_THRESHOLD', 10),
+  },
+
+  // Same query shape run too often in one request
+  nPlusOne: {
+    // off | warn (log it) | strict (fail the request, for tests)
+    mode: process.env.N_PLUS_ONE_MODE || 'warn',
+    // Runs of one shape allowed per request
+    threshold: intFromEnv('N_PLUS_ONE_THRESHOLD', 5),
+    // X-Query-Count / X-Query-Repeated response headers
+    headers: process.env.N_PLUS_ONE_HEADERS
+      ? process.env.N_PLUS_ONE_HEADERS === 'true'
+      : process.env.NODE_ENV !== 'production',
+  },
+
+  shutdown: {
+    // How long to keep serving after SIGTERM before closing the listener
+    readinessDelay: intFromEnv('SHUTDOWN_READINESS_DELAY_MS', 0),
+    // How long in-flight requests get to finish before connections are cut
+    drainTimeout: intFromEnv('SHUTDOWN_DRAIN_TIMEOUT_MS', 10000),
+    healthCheckTimeout: intFromEnv('HEALTH_CHECK_TIMEOUT_MS', 2000),
+  },
+
+  debugRoutes: process.env.DEBUG_ROUTES
+    ? process.env.DEBUG_ROUTES === 'true'
+    : process.env.NODE_ENV !== 'production',
+
+  // Startup check of the app's aggregation pipelines: off | warn | strict
+  // (strict exits on warnings)
+  pipelineLint: process.env.PIPELINE_LINT || 'warn',
+
+  // Deadlines per operation: sent to Mongo as maxTimeMS and enforced on the
+  // client too, so waiting for a pool connection counts against them
+  timeouts: {
+    userWithPosts: intFromEnv('MONGO_USER_TIMEOUT_MS', 2000),
+    userStats: intFromEnv('MONGO_STATS_TIMEOUT_MS', 5000),
+  },
+
+  breaker: {
+    // Calls in the sliding window, and how many before it can open
+    windowSize: intFromEnv('BREAKER_WINDOW_SIZE', 20),
+    minimumCalls: intFromEnv('BREAKER_MIN_CALLS', 10),
+    // Open when this fraction of the window failed (errors and timeouts)...
+    failureRate: floatFromEnv('BREAKER_FAILURE_RATE', 0.5),
+    // ...or was slower than slowCallMs
+    slowCallMs: intFromEnv('BREAKER_SLOW_CALL_MS', 1000),
+    slowCallRate: floatFromEnv('BREAKER_SLOW_CALL_RATE', 0.8),
+    // How long to reject calls before letting trial calls through
+    openMs: intFromEnv('BREAKER_OPEN_MS', 30000),
+    halfOpenCalls: intFromEnv('BREAKER_HALF_OPEN_CALLS', 3),
+    // cache: serve the last known /stats result when a call fails or is
+    // rejected; error: respond 503 with Retry-After (504 on timeout). User
+    // reads have stale-if-error (cache.staleIfError) instead
+    fallback: process.env.BREAKER_FALLBACK || 'cache',
+  },
+
+  stats: {
+    // live | cached | materialized
+    mode: process.env.STATS_MODE || 'live',
+    // How long cached results are served (cached mode); writes drop them sooner
+    cacheTtl: intFromEnv('STATS_CACHE_TTL_MS', 60000),
+    // scheduled | incremental (materialized mode)
+    materialize: process.env.STATS_MATERIALIZE || 'scheduled',
+    // Full rebuild of the materialized collection; 0 disables the schedule
+    refreshInterval: intFromEnv('STATS_REFRESH_INTERVAL_MS', 60000),
+    // How long incremental mode collects writes before merging them
+    incrementalDelay: intFromEnv('STATS_INCREMENTAL_DELAY_MS', 1000),
+  },
+
+  // Cache updates over RabbitMQ: writes publish CACHE_UPDATE messages and
+  // workers apply them; off unless a URL is set. With the per-process lru
+  // and ttl backends every instance also evicts its own copy of each key
+  cacheUpdates: {
+    // amqp://localhost, or memory:// for the in-process stand-in
+    url: process.env.CACHE_UPDATES_URL || '',
+    queue: process.env.CACHE_UPDATES_QUEUE || 'cache_updates',
+    // Run a worker in this process too
+    consume: process.env.CACHE_UPDATES_CONSUMER !== 'false',
+    // Unacknowledged messages per worker, i.e. updates applied at once
+    prefetch: intFromEnv('CACHE_UPDATES_PREFETCH', 10),
+    // Failed updates are retried after retryDelay, doubling up to
+    // maxRetryDelay, and dead-lettered after maxRetries
+    maxRetries: intFromEnv('CACHE_UPDATES_MAX_RETRIES', 5),
+    retryDelay: intFromEnv('CACHE_UPDATES_RETRY_DELAY_MS', 1000),
+    maxRetryDelay: intFromEnv('CACHE_UPDATES_MAX_RETRY_DELAY_MS', 60000),
+  },
+
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // memory (per instance) | redis (shared, uses REDIS_URL)
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // ip | api-key (X-API-Key header, IP when missing)
+    keyBy: process.env.RATE_LIMIT_KEY || 'ip',
+    // Proxy hops in front of the app, so req.ip is the client's address
+    trustProxy: intFromEnv('TRUST_PROXY', 0),
+    // Every API route
+    api: {
+      algorithm: process.env.RATE_LIMIT_ALGORITHM || 'sliding-window',
+      limit: intFromEnv('RATE_LIMIT_MAX', 600),
+      windowMs: intFromEnv('RATE_LIMIT_WINDOW_MS', 60000),
+    },
+    // /stats on top of that: each call is a full aggregation
+    stats: {
+      algorithm: process.env.RATE_LIMIT_STATS_ALGORITHM || 'token-bucket',
+      limit: intFromEnv('RATE_LIMIT_STATS_MAX', 10),
+      windowMs: intFromEnv('RATE_LIMIT_STATS_WINDOW_MS', 60000),
+    },
+  },
+
+  batch: {
+    // Upper bound on ids per POST /users/batch request (and per $in query)
+    maxIds: intFromEnv('BATCH_MAX_IDS', 100),
+  },
+
+  // POST /users/import
+  import: {
+    // Documents per unordered bulk insert
+    chunkSize: intFromEnv('IMPORT_CHUNK_SIZE', 1000),
+    // Longest accepted line (or quoted multi-line CSV row)
+    maxLineLength: intFromEnv('IMPORT_MAX_LINE_LENGTH', 65536),
+    // Rejected rows listed in the report; the counts are always complete
+    maxReportedErrors: intFromEnv('IMPORT_MAX_REPORTED_ERRORS', 1000),
+  },
+
+  // GET /users/export
+  export: {
+    // Documents per cursor batch, which bounds the export's memory
+    batchSize: intFromEnv('EXPORT_BATCH_SIZE', 1000),
+  },
+};
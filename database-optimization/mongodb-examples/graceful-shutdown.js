@@ -0,0 +1,62 @@
+// Tracks in-flight requests so shutdown can wait for them. Once draining,
+// responses carry Connection: close so keep-alive clients reconnect to
+// another instance instead of reusing this one.
+
+class GracefulShutdown {
+  constructor() {
+    this.active = new Set();
+    this.server = null;
+    this.middleware = this.middleware.bind(this);
+  }
+
+  get inFlight() {
+    return this.active.size;
+  }
+
+  get draining() {
+    return this.server !== null;
+  }
+
+  middleware(req, res, next) {
+    this.active.add(res);
+    const finish = () => {
+      if (!this.active.delete(res)) return;
+      // The socket may now be idle; don't let it hold the server open
+      if (this.server) this.server.closeIdleConnections();
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    if (this.draining) res.setHeader('Connection', 'close');
+    next();
+  }
+
+  // Stop accepting connections and wait for in-flight requests, up to
+  // timeoutMs. Resolves true if everything finished, false if connections
+  // had to be cut.
+  drain(server, timeoutMs) {
+    this.server = server;
+    for (const res of this.active) {
+      if (!res.headersSent) res.setHeader('Connection', 'close');
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        console.warn(`${this.inFlight} request(s) still running after ${timeoutMs}ms, closing connections`);
+        server.closeAllConnections();
+        resolve(false);
+      }, timeoutMs);
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+      // Keep-alive sockets with no request in progress would hold close() open
+      server.closeIdleConnections();
+    });
+  }
+}
+
+module.exports = {
+  GracefulShutdown,
+};
@@ -0,0 +1,51 @@
+const { withTimeout } = require('./timeouts');
+
+// Liveness and readiness probes.
+//   live   the process is up and its event loop is responding
+//   ready  every dependency check passes and we're not shutting down
+// Checks are async functions keyed by name, e.g. { mongodb: () => ping() };
+// each gets timeoutMs before it counts as down.
+
+class HealthChecks {
+  constructor(checks, options = {}) {
+    this.checks = checks;
+    this.timeoutMs = options.timeoutMs || 2000;
+    this.accepting = true;
+  }
+
+  // Called at the start of shutdown so load balancers stop routing to us
+  markNotReady() {
+    this.accepting = false;
+  }
+
+  async runChecks() {
+    const results = {};
+    await Promise.all(Object.entries(this.checks).map(async ([name, check]) => {
+      const start = Date.now();
+      try {
+        await withTimeout(Promise.resolve().then(check), this.timeoutMs, `${name} check timed out`);
+        results[name] = { status: 'up', latencyMs: Date.now() - start };
+      } catch (err) {
+        results[name] = { status: 'down', latencyMs: Date.now() - start, error: err.message };
+      }
+    }));
+    return results;
+  }
+
+  live(req, res) {
+    res.json({ status: 'ok', uptime: process.uptime() });
+  }
+
+  async ready(req, res) {
+    if (!this.accepting) {
+      return res.status(503).json({ status: 'shutting down' });
+    }
+    const checks = await this.runChecks();
+    const ready = Object.values(checks).every((check) => check.status === 'up');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  }
+}
+
+module.exports = {
+  HealthChecks,
+};
@@ -0,0 +1,158 @@
+// Compares the index manifest (indexes.js) with the indexes a database
+// actually has, and optionally brings the database in line.
+//
+// Indexes are matched by key pattern. A declared index is:
+//   missing    no live index has its key pattern
+//   changed    one does, but its name or options differ
+// and a live index with no declared counterpart is extra. The _id index is
+// always ignored.
+
+const OPTIONS = ['unique', 'sparse', 'partialFilterExpression', 'expireAfterSeconds'];
+
+function defaultIndexName(key) {
+  return Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+}
+
+function keyPattern(key) {
+  return JSON.stringify(Object.entries(key));
+}
+
+// Index spec reduced to what we compare: name, key and the options we manage
+function normalize(spec) {
+  const normalized = { name: spec.name || defaultIndexName(spec.key), key: spec.key };
+  for (const option of OPTIONS) {
+    // unique: false and sparse: false are the same as leaving them out
+    if (spec[option] !== undefined && spec[option] !== false) normalized[option] = spec[option];
+  }
+  return normalized;
+}
+
+function optionDifferences(declared, live) {
+  const differences = [];
+  if (declared.name !== live.name) {
+    differences.push({ option: 'name', declared: declared.name, live: live.name });
+  }
+  for (const option of OPTIONS) {
+    if (JSON.stringify(declared[option]) !== JSON.stringify(live[option])) {
+      differences.push({ option, declared: declared[option], live: live[option] });
+    }
+  }
+  return differences;
+}
+
+function diffIndexes(declaredSpecs, liveSpecs) {
+  const declared = declaredSpecs.map(normalize);
+  const live = liveSpecs.filter((spec) => spec.name !== '_id_').map(normalize);
+  const liveByKey = new Map(live.map((spec) => [keyPattern(spec.key), spec]));
+  const declaredKeys = new Set(declared.map((spec) => keyPattern(spec.key)));
+
+  const diff = { missing: [], changed: [], extra: [], unchanged: [] };
+  for (const spec of declared) {
+    const current = liveByKey.get(keyPattern(spec.key));
+    if (!current) {
+      diff.missing.push(spec);
+      continue;
+    }
+    const differences = optionDifferences(spec, current);
+    if (differences.length > 0) {
+      diff.changed.push({ declared: spec, live: current, differences });
+    } else {
+      diff.unchanged.push(spec);
+    }
+  }
+  diff.extra = live.filter((spec) => !declaredKeys.has(keyPattern(spec.key)));
+
+  return diff;
+}
+
+async function listIndexes(collection) {
+  try {
+    return await collection.listIndexes().toArray();
+  } catch (err) {
+    // NamespaceNotFound: the collection doesn't exist yet, so has no indexes
+    if (err.code === 26) return [];
+    throw err;
+  }
+}
+
+// { collection: diff } for every collection in the manifest
+async function planIndexSync(db, manifest) {
+  const plan = {};
+  for (const [name, specs] of Object.entries(manifest)) {
+    plan[name] = diffIndexes(specs, await listIndexes(db.collection(name)));
+  }
+  return plan;
+}
+
+function hasDrift(plan, { prune = false } = {}) {
+  return Object.values(plan).some((diff) =>
+    diff.missing.length > 0 || diff.changed.length > 0 || (prune && diff.extra.length > 0));
+}
+
+function createOptions(spec) {
+  const { key, ...options } = spec;
+  return options;
+}
+
+// Creates missing indexes. Changed indexes are rebuilt (dropped and
+// recreated) only with rebuild: true, and extra ones dropped only with
+// prune: true, since both can be expensive or unexpected on a live database.
+// Returns the actions taken.
+async function applyIndexSync(db, plan, { rebuild = false, prune = false } = {}) {
+  const actions = [];
+  for (const [name, diff] of Object.entries(plan)) {
+    const collection = db.collection(name);
+
+    for (const spec of diff.missing) {
+      await collection.createIndex(spec.key, createOptions(spec));
+      actions.push({ collection: name, action: 'create', index: spec.name });
+    }
+    if (rebuild) {
+      for (const { declared, live } of diff.changed) {
+        await collection.dropIndex(live.name);
+        await collection.createIndex(declared.key, createOptions(declared));
+        actions.push({ collection: name, action: 'rebuild', index: declared.name });
+      }
+    }
+    if (prune) {
+      for (const spec of diff.extra) {
+        await collection.dropIndex(spec.name);
+        actions.push({ collection: name, action: 'drop', index: spec.name });
+      }
+    }
+  }
+  return actions;
+}
+
+function formatValue(value) {
+  return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+// Human-readable report, one line per difference
+function formatPlan(plan) {
+  const lines = [];
+  for (const [name, diff] of Object.entries(plan)) {
+    for (const spec of diff.missing) {
+      lines.push(`${name}: missing ${spec.name} ${JSON.stringify(spec.key)}`);
+    }
+    for (const { declared, differences } of diff.changed) {
+      const details = differences
+        .map(({ option, declared: want, live }) => `${option} ${formatValue(live)} -> ${formatValue(want)}`)
+        .join(', ');
+      lines.push(`${name}: changed ${declared.name} (${details})`);
+    }
+    for (const spec of diff.extra) {
+      lines.push(`${name}: extra ${spec.name} ${JSON.stringify(spec.key)}`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  diffIndexes,
+  planIndexSync,
+  applyIndexSync,
+  hasDrift,
+  formatPlan,
+  defaultIndexName,
+};
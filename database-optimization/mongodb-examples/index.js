@@ -1,56 +1,208 @@
-const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
+const { MongoClient, MongoBulkWriteError, ObjectId } = require('mongodb');
 const express = require('express');
-require('dotenv').config();
+const config = require('./config');
+const { createCache } = require('./cache');
+const { createRedisClient } = require('./redis-client');
+const { SingleFlight, shouldRefreshEarly } = require('./single-flight');
+const { WritePolicy } = require('./write-policy');
+const { BatchLoader } = require('./batch-loader');
+const { QueryMonitor } = require('./query-monitor');
+const { PoolMonitor } = require('./pool-monitor');
+const { NPlusOneDetector } = require('./n-plus-one');
+const { createMetrics } = require('./metrics');
+const { HealthChecks } = require('./health');
+const { GracefulShutdown } = require('./graceful-shutdown');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { withTimeout, sleep } = require('./timeouts');
+const { rateLimit, createRateLimitStore } = require('./rate-limit');
+const { UserStats } = require('./user-stats');
+const { CONTENT_TYPES, importUsers } = require('./user-import');
+const { exportUsers } = require('./user-export');
+const { connectAmqp } = require('./amqp-client');
+const { backoffDelays, CacheUpdatePublisher, CacheUpdateWorker, CacheUpdateSubscriber } = require('./cache-updates');
+const { latestPostsPipeline, appPipelines } = require('./pipelines');
+const { lintPipelines, hasWarnings, formatFindings } = require('./pipeline-lint');
+const indexManifest = require('./indexes');
+const { planIndexSync, applyIndexSync, formatPlan } = require('./index-sync');
 
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.port;
+// req.ip (the rate limit key) is the client address, not the proxy's
+app.set('trust proxy', config.rateLimit.trustProxy);
+
+// Counts in-flight requests so shutdown can drain them
+const gracefulShutdown = new GracefulShutdown();
+app.use(gracefulShutdown.middleware);
 
 // MongoDB connection
-const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/optimization_demo';
-const client = new MongoClient(uri);
-
-// Connection pool configuration
-const clientOptions = {
-  maxPoolSize: 50,
-  minPoolSize: 10,
-  maxIdleTimeMS: 30000,
+const uri = config.mongoUri;
+// Pool settings come from MONGO_*_POOL_SIZE and friends; command monitoring
+// feeds the slow-query detector
+const client = new MongoClient(uri, { ...config.mongoPool, monitorCommands: true });
+const queryMonitor = new QueryMonitor(client, config.queryMonitor).attach();
+const poolMonitor = new PoolMonitor(client).attach();
+// Attributes commands to requests and flags repeated query shapes
+// (N_PLUS_ONE_*); its middleware is registered after the body parser
+const nPlusOne = new NPlusOneDetector(client, config.nPlusOne).attach();
+
+// One breaker per guarded operation, so a slow aggregation can't take user
+// reads down with it
+const breakers = {
+  userWithPosts: new CircuitBreaker('getUserWithPosts', config.breaker),
+  userStats: new CircuitBreaker('getUserStats', config.breaker),
 };
+for (const breaker of Object.values(breakers)) {
+  breaker.on('state', ({ name, from, to }) => {
+    console.warn(`Circuit breaker ${name}: ${from} -> ${to}`);
+  });
+}
+
+// Redis is only needed when it backs the cache or the rate limits
+const redisNeeded = ['redis', 'tiered'].includes(config.cache.backend) ||
+  (config.rateLimit.enabled && config.rateLimit.store === 'redis');
+const redisClient = redisNeeded
+  ? createRedisClient(config.redisUrl)
+  : null;
+
 
 async function connectDB() {
   try {
     await client.connect();
     console.log('Connected to MongoDB');
 
-    // Create indexes for better performance
+    // Create missing indexes from the manifest; changed or extra ones are
+    // only reported, rebuilding is left to `npm run indexes:sync`
     const db = client.db();
-    await db.collection('users').createIndex({ email: 1 }, { unique: true });
-    await db.collection('users').createIndex({ age: 1 });
-    await db.collection('posts').createIndex({ userId: 1 });
-    await db.collection('posts').createIndex({ createdAt: -1 });
+    const plan = await planIndexSync(db, indexManifest);
+    for (const { collection, index } of await applyIndexSync(db, plan)) {
+      console.log(`Created index ${collection}.${index}`);
+    }
+    for (const [name, diff] of Object.entries(plan)) {
+      for (const line of formatPlan({ [name]: { ...diff, missing: [] } })) {
+        console.warn(`Index drift: ${line}`);
+      }
+    }
   } catch (err) {
     console.error('MongoDB connection error:', err);
     process.exit(1);
   }
 }
 
+async function connectRedis() {
+  if (!redisClient) return;
+
+  try {
+    await redisClient.connect();
+    // The tiered cache subscribes to invalidations from other instances
+    if (cache.connect) await cache.connect();
+    console.log('Connected to Redis');
+  } catch (err) {
+    console.error('Redis connection error:', err);
+    process.exit(1);
+  }
+}
+
+async function connectCacheUpdates() {
+  if (!cacheUpdatePublisher) return;
+
+  try {
+    amqpConnection = await connectAmqp(config.cacheUpdates.url);
+    // There's no reconnect: a lost broker fails the readiness probe
+    amqpConnection.on('error', (err) => console.error('RabbitMQ connection error:', err.message));
+    amqpConnection.on('close', () => {
+      if (!shuttingDown) console.error('RabbitMQ connection closed unexpectedly');
+    });
+    await cacheUpdatePublisher.start(amqpConnection);
+    if (cacheUpdateSubscriber) await cacheUpdateSubscriber.start(amqpConnection);
+    console.log('Connected to RabbitMQ');
+  } catch (err) {
+    console.error('RabbitMQ connection error:', err);
+    process.exit(1);
+  }
+}
+
+// Refreshes load from Mongo, so the worker starts once it's connected
+async function startCacheUpdateWorker() {
+  if (!cacheUpdateWorker) return;
+
+  try {
+    await cacheUpdateWorker.start(amqpConnection);
+    console.log(`Consuming cache updates from ${config.cacheUpdates.queue}`);
+  } catch (err) {
+    console.error('Cache update worker failed to start:', err);
+    process.exit(1);
+  }
+}
+
+// Posts cached with each user, newest first
+const POSTS_PER_BUNDLE = 10;
+
+// Route params are strings; documents created through the API use ObjectIds
+function parseId(id) {
+  return ObjectId.isValid(id) && String(new ObjectId(id)) === id ? new ObjectId(id) : id;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function statusFor(err) {
+  if (err.status) return err.status;
+  // Duplicate key, e.g. the unique index on users.email
+  if (err.code === 11000) return 409;
+  if (err.code === 'EBREAKEROPEN') return 503;
+  // Client-side deadline, or maxTimeMS expired on the server
+  if (err.code === 'ETIMEDOUT' || err.code === 50) return 504;
+  return 500;
+}
+
+// Open breakers say when to come back
+function sendError(res, err) {
+  if (err.code === 'EBREAKEROPEN') {
+    res.set('Retry-After', String(Math.max(Math.ceil(err.retryAfterMs / 1000), 1)));
+  }
+  res.status(statusFor(err)).json({ error: err.message });
+}
+
+// Runs a Mongo operation through its breaker with a client-side deadline.
+// The operation sets maxTimeMS itself, so the server stops working on it too.
+function guarded(name, operation) {
+  const timeoutMs = config.timeouts[name];
+  return breakers[name].execute(() =>
+    withTimeout(operation(timeoutMs), timeoutMs, `${breakers[name].name} timed out after ${timeoutMs}ms`));
+}
+
+// GET /stats: live, cached or materialized (STATS_MODE); request-time
+// queries go through the userStats breaker and deadline
+const userStats = new UserStats({
+  ...config.stats,
+  db: () => client.db(),
+  guard: (operation) => guarded('userStats', operation),
+});
+
 // Example of efficient querying
-async function getUserWithPosts(userId) {
+async function getUserWithPosts(userId, maxTimeMS = config.timeouts.userWithPosts) {
   const db = client.db();
+  const id = parseId(userId);
   
   try {
     // Use Promise.all for parallel execution
     const [user, posts] = await Promise.all([
       // Project only needed fields
       db.collection('users').findOne(
-        { _id: userId },
-        { projection: { name: 1, email: 1 } }
+        { _id: id },
+        { projection: { name: 1, email: 1 }, maxTimeMS }
       ),
       // Use limit for pagination
       db.collection('posts').find(
-        { userId: userId }
+        { userId: id }
       )
       .sort({ createdAt: -1 })
-      .limit(10)
+      .limit(POSTS_PER_BUNDLE)
+      .maxTimeMS(maxTimeMS)
       .toArray()
     ]);
 
@@ -61,7 +213,109 @@ async function getUserWithPosts(userId) {
   }
 }
 
+// Example of avoiding N+1 queries: bundles for many users in two queries,
+// however many ids are requested. Resolves in the order of userIds, with
+// { user: null, posts: [] } for ids that don't exist.
+async function getUsersWithPosts(userIds, maxTimeMS = config.timeouts.userWithPosts) {
+  const db = client.db();
+  const ids = userIds.map(parseId);
+
+  try {
+    const [users, postGroups] = await Promise.all([
+      db.collection('users').find(
+        { _id: { $in: ids } },
+        { projection: { name: 1, email: 1 }, maxTimeMS }
+      ).toArray(),
+      // Newest POSTS_PER_BUNDLE posts per user
+      db.collection('posts').aggregate(latestPostsPipeline(ids, POSTS_PER_BUNDLE), { maxTimeMS }).toArray()
+    ]);
+
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+    const postsByUser = new Map(postGroups.map((group) => [String(group._id), group.posts]));
+
+    return userIds.map((userId) => ({
+      user: usersById.get(String(userId)) || null,
+      posts: postsByUser.get(String(userId)) || [],
+    }));
+  } catch (err) {
+    console.error('Error fetching batch user data:', err);
+    throw err;
+  }
+}
+
+// Example of keyset pagination: seek to (createdAt, _id) instead of skipping,
+// so page 1000 costs the same as page 1. _id breaks ties between posts with
+// the same createdAt. Cursors are opaque base64url tokens.
+function encodeCursor(post, direction) {
+  const payload = { t: post.createdAt.toISOString(), i: String(post._id), d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const { t, i, d } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+    if (Number.isNaN(createdAt.getTime()) || typeof i !== 'string' || !['next', 'prev'].includes(d)) {
+      throw new Error('bad cursor');
+    }
+    return { createdAt, id: parseId(i), direction: d };
+  } catch (err) {
+    throw httpError(400, 'Invalid cursor');
+  }
+}
+
+// Resolves to { posts, next, prev } with posts newest first; next pages
+// towards older posts, prev towards newer ones, null when there are none
+async function getUserPosts(userId, { cursor, limit }) {
+  const db = client.db();
+  const filter = { userId: parseId(userId) };
+  const position = cursor ? decodeCursor(cursor) : null;
+  const backwards = position !== null && position.direction === 'prev';
+
+  if (position) {
+    const op = backwards ? '$gt' : '$lt';
+    filter.$or = [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position.id } }
+    ];
+  }
+
+  try {
+    // Served by the { userId: 1, createdAt: -1, _id: -1 } index, forwards or
+    // backwards, so the sort needs no in-memory stage; fetch one extra
+    // document to know whether another page exists
+    const order = backwards ? 1 : -1;
+    const docs = await db.collection('posts')
+      .find(filter)
+      .sort({ createdAt: order, _id: order })
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = docs.length > limit;
+    const posts = docs.slice(0, limit);
+    if (backwards) posts.reverse();
+
+    if (posts.length === 0) return { posts, next: null, prev: null };
+
+    const first = posts[0];
+    const last = posts[posts.length - 1];
+    return {
+      posts,
+      // Moving backwards we came from an older page, so it always exists
+      next: backwards || hasMore ? encodeCursor(last, 'next') : null,
+      prev: backwards ? (hasMore ? encodeCursor(first, 'prev') : null)
+        : (position ? encodeCursor(first, 'prev') : null),
+    };
+  } catch (err) {
+    console.error('Error fetching user posts:', err);
+    throw err;
+  }
+}
+
 // Example of bulk operations
+// Unordered, so one bad document doesn't stop the others. Resolves to
+// { insertedCount, writeErrors } with the index, code and message of each
+// document that wasn't inserted; only failures of the whole batch throw.
 async function createBulkUsers(users) {
   const db = client.db();
   
@@ -72,87 +326,786 @@ async function createBulkUsers(users) {
       bulk.insert(user);
     });
 
-    return await bulk.execute();
+    const result = await bulk.execute();
+    return { insertedCount: result.insertedCount, writeErrors: [] };
   } catch (err) {
+    if (err instanceof MongoBulkWriteError && err.writeErrors.length > 0) {
+      return {
+        insertedCount: err.insertedCount,
+        writeErrors: err.writeErrors.map((writeError) => {
+          // E11000 duplicate key error collection: ... dup key: { email: "..." }
+          const dupKey = writeError.code === 11000 && /dup key: (.*)$/.exec(writeError.errmsg);
+          return {
+            index: writeError.index,
+            code: writeError.code,
+            message: dupKey ? `duplicate key ${dupKey[1]}` : writeError.errmsg,
+          };
+        }),
+      };
+    }
     console.error('Bulk operation error:', err);
     throw err;
   }
 }
 
-// Example of aggregation optimization
-async function getUserStats(minAge) {
-  const db = client.db();
-  
-  try {
-    // Use aggregation pipeline optimization
-    const stats = await db.collection('users').aggregate([
-      // Early filtering to reduce documents
-      { $match: { age: { $gte: minAge } } },
-      // Group after filtering
-      { $group: {
-          _id: "$city",
-          userCount: { $sum: 1 },
-          avgAge: { $avg: "$age" }
-        }
-      },
-      // Sort after reducing data
-      { $sort: { userCount: -1 } }
-    ]).toArray();
+// Example of caching implementation
+// Bounded cache; the backend (none, ttl, lru, redis or tiered) comes from CACHE_BACKEND
+const cache = createCache({ ...config.cache, client: redisClient });
 
-    return stats;
-  } catch (err) {
-    console.error('Aggregation error:', err);
-    throw err;
+// Cache updates over RabbitMQ (CACHE_UPDATES_*), off unless a URL is set.
+// Every persisted write is published; workers (this process too, unless
+// CACHE_UPDATES_CONSUMER=false) evict the key, or reload it when the write
+// policy keeps bundles cached across writes. With the lru and ttl backends
+// each instance's cache is its own, so every instance also subscribes and
+// evicts its copy of keys written through the others; so does an instance
+// caching /stats results (STATS_MODE=cached), which drops them.
+const cacheUpdatesEnabled = config.cacheUpdates.url !== '';
+const cacheUpdateAction = config.cache.writePolicy === 'invalidate' ? 'evict' : 'refresh';
+const cacheUpdateOptions = {
+  queue: config.cacheUpdates.queue,
+  retryDelays: backoffDelays(config.cacheUpdates),
+  origin: crypto.randomBytes(8).toString('hex'),
+};
+let amqpConnection = null;
+const cacheUpdatePublisher = cacheUpdatesEnabled ? new CacheUpdatePublisher(cacheUpdateOptions) : null;
+const cacheUpdateWorker = cacheUpdatesEnabled && config.cacheUpdates.consume
+  ? new CacheUpdateWorker({ ...cacheUpdateOptions, prefetch: config.cacheUpdates.prefetch, apply: applyCacheUpdate })
+  : null;
+const localCache = ['lru', 'ttl'].includes(config.cache.backend);
+const cacheUpdateSubscriber = cacheUpdatesEnabled && (localCache || config.stats.mode === 'cached')
+  ? new CacheUpdateSubscriber({ ...cacheUpdateOptions, evict: evictLocalCopy })
+  : null;
+
+// Only user bundles can be rebuilt; any other key is evicted. The write is
+// persisted by now, so loads of the key in flight here are outdated.
+async function applyCacheUpdate({ key, action }) {
+  writePolicy.supersede(key);
+  if (action === 'refresh' && key.startsWith('user:')) {
+    await loadUser(key.slice('user:'.length));
+  } else {
+    await cache.delete(key);
   }
 }
 
-// Example of caching implementation
-const cache = new Map();
-const CACHE_TTL = 300000; // 5 minutes
+// Subscribers only drop this instance's copy; reloading is the workers' job
+function evictLocalCopy({ key }) {
+  if (key.startsWith('user:')) userStats.remoteUserChanged();
+  if (!localCache) return undefined;
+  writePolicy.supersede(key);
+  return cache.delete(key);
+}
+
+// Readiness depends on Mongo, and on Redis and RabbitMQ when they're configured
+const healthChecks = new HealthChecks({
+  mongodb: () => client.db().command({ ping: 1 }),
+  ...(redisClient && { redis: () => redisClient.ping() }),
+  ...(cacheUpdatePublisher && { rabbitmq: () => cacheUpdatePublisher.check() }),
+}, { timeoutMs: config.shutdown.healthCheckTimeout });
+
+// Prometheus metrics; the middleware times every route registered after it,
+// and requests the body parser rejects (413, malformed JSON)
+const metrics = createMetrics({ cache, queryMonitor, poolMonitor, nPlusOne, breakers, cacheUpdateWorker });
+app.use(metrics.middleware);
+
+// JSON bodies for every route but the streaming import, which must get the
+// raw body whatever its Content-Type. The path is matched the way Express
+// matches routes: any case, optional trailing slash.
+const parseJson = express.json();
+const importPath = /^\/users\/import\/?$/i;
+app.use((req, res, next) => (importPath.test(req.path) ? next() : parseJson(req, res, next)));
+
+// After the body parser, so route handlers run inside the request's context
+app.use(nPlusOne.middleware);
+
+// Rate limits per client (RATE_LIMIT_*); registered after the metrics
+// middleware so 429s show up in the latency histogram too
+const rateLimitStore = config.rateLimit.enabled
+  ? createRateLimitStore({ store: config.rateLimit.store, client: redisClient })
+  : null;
+
+function limiter(name) {
+  if (!rateLimitStore) return (req, res, next) => next();
+  return rateLimit({
+    name,
+    store: rateLimitStore,
+    keyBy: config.rateLimit.keyBy,
+    ...config.rateLimit[name],
+    onResult: metrics.recordRateLimit,
+  });
+}
+
+// Health checks and /metrics stay unlimited
+app.use(['/users', '/posts', '/stats'], limiter('api'));
+const statsLimiter = limiter('stats');
+
+// Concurrent misses for the same user share one database load
+const userLoads = new SingleFlight();
+const readStats = {
+  earlyRefreshes: 0,
+  backgroundRefreshes: 0,
+  staleServed: 0,
+};
+
+// Entries are fresh until staleAt (CACHE_TTL_MS) and served while being
+// revalidated until expiresAt (CACHE_HARD_TTL_MS). The backend keeps them a
+// little longer (CACHE_STALE_IF_ERROR_MS) so they can cover a Mongo outage.
+// delta (load time) drives the early refresh decision.
+function cacheUserData(userId, userData, delta = 0, { fill = false } = {}) {
+  const now = Date.now();
+  const { ttl, hardTtl, staleIfError } = config.cache;
+
+  return cache.set(`user:${userId}`, {
+    data: userData,
+    delta,
+    staleAt: now + ttl,
+    expiresAt: now + hardTtl,
+  }, hardTtl + staleIfError, { fill });
+}
+
+// getUserWithPosts behind its breaker and deadline
+function loadUserWithPosts(userId) {
+  return guarded('userWithPosts', (maxTimeMS) => getUserWithPosts(userId, maxTimeMS));
+}
+
+// Batched misses share the same breaker and deadline
+function loadUsersWithPosts(userIds) {
+  return guarded('userWithPosts', (maxTimeMS) => getUsersWithPosts(userIds, maxTimeMS));
+}
+
+// Cached unless a write overtakes the load (see WritePolicy.loadAndStore);
+// loads started after a write don't join one started before it
+function loadUser(userId) {
+  const key = `user:${userId}`;
+  return userLoads.do(`${key}:${writePolicy.version(key)}`, async () => {
+    const [userData] = await writePolicy.loadAndStore(
+      [userId],
+      async ([id]) => [await loadUserWithPosts(id)],
+      { fill: true }
+    );
+    return userData;
+  });
+}
 
+function refreshInBackground(userId) {
+  readStats.backgroundRefreshes++;
+  loadUser(userId).catch((err) => {
+    console.error(`Background refresh failed for user:${userId}:`, err);
+  });
+}
+
+// Resolves to { data, status, age } where status is HIT, MISS or STALE;
+// STALE responses carry a warning explaining why
 async function getUserWithCache(userId) {
-  const cacheKey = `user:${userId}`;
-  
-  if (cache.has(cacheKey)) {
-    const { data, timestamp } = cache.get(cacheKey);
-    if (Date.now() - timestamp < CACHE_TTL) {
-      return data;
+  const cached = await cache.get(`user:${userId}`);
+  if (cached === undefined) {
+    return { data: await loadUser(userId), status: 'MISS', age: 0 };
+  }
+
+  const now = Date.now();
+  const age = now - (cached.staleAt - config.cache.ttl);
+  const stale = (warning) => {
+    readStats.staleServed++;
+    return { data: cached.data, status: 'STALE', age, warning };
+  };
+
+  if (now < cached.staleAt) {
+    const early = shouldRefreshEarly(
+      { delta: cached.delta, expiresAt: cached.staleAt },
+      config.cache.earlyRefreshBeta,
+      now
+    );
+    if (!early) return { data: cached.data, status: 'HIT', age };
+
+    // Still fresh, so a failed early refresh just serves the cached copy
+    readStats.earlyRefreshes++;
+    try {
+      return { data: await loadUser(userId), status: 'MISS', age: 0 };
+    } catch (err) {
+      return { data: cached.data, status: 'HIT', age };
     }
-    cache.delete(cacheKey);
   }
 
-  const userData = await getUserWithPosts(userId);
-  cache.set(cacheKey, {
-    data: userData,
-    timestamp: Date.now()
+  // Between the soft and hard TTL: serve stale, revalidate in the background
+  if (now < cached.expiresAt) {
+    refreshInBackground(userId);
+    return stale('110 - "Response is Stale"');
+  }
+
+  // Past the hard TTL the entry is only kept to cover database errors (and
+  // open breakers), for CACHE_STALE_IF_ERROR_MS
+  try {
+    return { data: await loadUser(userId), status: 'MISS', age: 0 };
+  } catch (err) {
+    if (now >= cached.expiresAt + config.cache.staleIfError) throw err;
+    console.error(`Serving stale user:${userId} after load error:`, err.message);
+    return stale('111 - "Revalidation Failed"');
+  }
+}
+
+// Per-request loader for user bundles. Cached entries are used first (stale
+// ones are refreshed in the background); all misses in the same tick are
+// fetched together by getUsersWithPosts (behind the userWithPosts breaker).
+function createUserLoader() {
+  return new BatchLoader(async (userIds) => {
+    const now = Date.now();
+    const results = new Array(userIds.length);
+    const misses = [];
+
+    const cached = await Promise.all(userIds.map((userId) => cache.get(`user:${userId}`)));
+    cached.forEach((entry, i) => {
+      if (entry !== undefined && now < entry.expiresAt) {
+        if (now >= entry.staleAt) refreshInBackground(userIds[i]);
+        results[i] = entry.data;
+      } else {
+        misses.push(i);
+      }
+    });
+
+    if (misses.length > 0) {
+      const loaded = await writePolicy.loadAndStore(misses.map((i) => userIds[i]), loadUsersWithPosts, { fill: true });
+      misses.forEach((i, j) => {
+        results[i] = loaded[j];
+      });
+    }
+
+    return results;
+  }, { maxBatchSize: config.batch.maxIds });
+}
+
+// Example of keeping the cache consistent with writes
+// CACHE_WRITE_POLICY picks invalidate, write-through or write-behind
+const writePolicy = new WritePolicy({
+  policy: config.cache.writePolicy,
+  flushInterval: config.cache.writeBehindFlushInterval,
+  cache,
+  load: loadUserWithPosts,
+  store: cacheUserData,
+  publish: cacheUpdatePublisher && ((key) => cacheUpdatePublisher.publish(key, cacheUpdateAction)),
+});
+
+const USER_FIELDS = ['name', 'email', 'age', 'city'];
+const POST_FIELDS = ['title', 'content'];
+function pickFields(body, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (body && body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+}
+
+function validateUser(fields, { partial = false } = {}) {
+  if (!partial && (!fields.name || !fields.email)) {
+    throw httpError(400, 'name and email are required');
+  }
+  if (fields.email !== undefined && !/^[^@\s]+@[^@\s]+$/.test(fields.email)) {
+    throw httpError(400, 'email is invalid');
+  }
+  if (fields.age !== undefined && !Number.isInteger(fields.age)) {
+    throw httpError(400, 'age must be an integer');
+  }
+  if (partial && Object.keys(fields).length === 0) {
+    throw httpError(400, `at least one of ${USER_FIELDS.join(', ')} is required`);
+  }
+}
+
+function validatePost(fields, { partial = false } = {}) {
+  if (!partial && !fields.title) {
+    throw httpError(400, 'title is required');
+  }
+  if (partial && Object.keys(fields).length === 0) {
+    throw httpError(400, `at least one of ${POST_FIELDS.join(', ')} is required`);
+  }
+}
+
+// The cached bundle only holds the projected user fields
+function bundleUser(user) {
+  return { _id: user._id, name: user.name, email: user.email };
+}
+
+// Import rows are users as POST /users takes them, optionally with an _id
+function userFromRow(row) {
+  const fields = pickFields(row, USER_FIELDS);
+  validateUser(fields);
+  if (row._id !== undefined && (typeof row._id !== 'string' || row._id === '')) {
+    throw httpError(400, '_id must be a non-empty string');
+  }
+  return { _id: row._id === undefined ? new ObjectId() : parseId(row._id), ...fields };
+}
+
+// Imports skip the write policy and go straight to Mongo in bulk. Bundles
+// cached under the new ids (a lookup before the import caches the miss) are
+// dropped afterwards and announced like any other write, so other instances
+// drop theirs too, and /stats learns about the new users.
+async function importUserChunk(users) {
+  const result = await createBulkUsers(users);
+  const failed = new Set(result.writeErrors.map(({ index }) => index));
+  const inserted = users.filter((user, i) => !failed.has(i));
+  await Promise.all(inserted.map((user) => {
+    const key = `user:${user._id}`;
+    writePolicy.supersede(key);
+    return cache.delete(key);
+  }));
+  for (const user of inserted) {
+    writePolicy.announce(`user:${user._id}`);
+    userStats.userChanged(null, user);
+  }
+  return result;
+}
+
+// GET /users/export: ?city= (repeatable), ?minAge=, ?maxAge= and
+// ?fields=name,email (all user fields by default; _id is always included)
+function exportQuery(query) {
+  const filter = {};
+  if (query.city !== undefined) {
+    filter.city = Array.isArray(query.city) ? { $in: query.city.map(String) } : String(query.city);
+  }
+  for (const [param, op] of [['minAge', '$gte'], ['maxAge', '$lte']]) {
+    if (query[param] === undefined) continue;
+    const age = Number(query[param]);
+    if (!Number.isInteger(age)) throw httpError(400, `${param} must be an integer`);
+    filter.age = { ...filter.age, [op]: age };
+  }
+
+  const fields = query.fields ? String(query.fields).split(',').map((field) => field.trim()) : USER_FIELDS;
+  const unknown = fields.filter((field) => !USER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw httpError(400, `unknown fields ${unknown.join(', ')}, expected some of ${USER_FIELDS.join(', ')}`);
+  }
+  return { filter, fields };
+}
+
+async function assertUserExists(userId) {
+  const count = await client.db().collection('users')
+    .countDocuments({ _id: parseId(userId) }, { limit: 1 });
+  if (count === 0) throw httpError(404, 'User not found');
+}
+
+async function createUser(fields) {
+  const user = { _id: new ObjectId(), ...fields };
+
+  await writePolicy.write(String(user._id), {
+    persist: async () => {
+      await client.db().collection('users').insertOne(user);
+      userStats.userChanged(null, user);
+    },
+    apply: () => ({ user: bundleUser(user), posts: [] }),
   });
 
-  return userData;
+  return user;
+}
+
+// Resolves to the updated user, or undefined when the write was deferred
+async function updateUser(userId, fields) {
+  // Write-behind can't report a missing user once the write is queued
+  if (writePolicy.deferred) await assertUserExists(userId);
+
+  return writePolicy.write(userId, {
+    persist: async () => {
+      // The previous age and city tell /stats which group the user left
+      const before = await client.db().collection('users').findOneAndUpdate(
+        { _id: parseId(userId) },
+        { $set: fields },
+        { returnDocument: 'before', includeResultMetadata: false }
+      );
+      if (!before) throw httpError(404, 'User not found');
+      const user = { ...before, ...fields };
+      userStats.userChanged(before, user);
+      return user;
+    },
+    apply: (bundle) => bundle && bundle.user && {
+      ...bundle,
+      user: bundleUser({ ...bundle.user, ...fields }),
+    },
+  });
+}
+
+async function deleteUser(userId) {
+  if (writePolicy.deferred) await assertUserExists(userId);
+
+  await writePolicy.write(userId, {
+    persist: async () => {
+      const db = client.db();
+      const id = parseId(userId);
+      const user = await db.collection('users').findOneAndDelete(
+        { _id: id },
+        { projection: { age: 1, city: 1 }, includeResultMetadata: false }
+      );
+      if (!user) throw httpError(404, 'User not found');
+      userStats.userChanged(user, null);
+      await db.collection('posts').deleteMany({ userId: id });
+    },
+    // Same shape a read returns for a missing user
+    apply: () => ({ user: null, posts: [] }),
+  });
+}
+
+async function createPost(userId, fields) {
+  await assertUserExists(userId);
+  const post = { _id: new ObjectId(), userId: parseId(userId), ...fields, createdAt: new Date() };
+
+  await writePolicy.write(userId, {
+    persist: () => client.db().collection('posts').insertOne(post),
+    apply: (bundle) => bundle && {
+      ...bundle,
+      posts: [post, ...bundle.posts].slice(0, POSTS_PER_BUNDLE),
+    },
+  });
+
+  return post;
+}
+
+// Posts are cached inside their author's bundle, so look the author up first
+async function findPostOwner(postId) {
+  const post = await client.db().collection('posts')
+    .findOne({ _id: parseId(postId) }, { projection: { userId: 1 } });
+  if (!post) throw httpError(404, 'Post not found');
+  return String(post.userId);
+}
+
+async function updatePost(postId, fields) {
+  const userId = await findPostOwner(postId);
+
+  return writePolicy.write(userId, {
+    persist: async () => {
+      const post = await client.db().collection('posts').findOneAndUpdate(
+        { _id: parseId(postId) },
+        { $set: fields },
+        { returnDocument: 'after', includeResultMetadata: false }
+      );
+      if (!post) throw httpError(404, 'Post not found');
+      return post;
+    },
+    apply: (bundle) => bundle && {
+      ...bundle,
+      posts: bundle.posts.map((post) => (String(post._id) === postId ? { ...post, ...fields } : post)),
+    },
+  });
+}
+
+async function deletePost(postId) {
+  const userId = await findPostOwner(postId);
+
+  await writePolicy.write(userId, {
+    persist: async () => {
+      const { deletedCount } = await client.db().collection('posts').deleteOne({ _id: parseId(postId) });
+      if (deletedCount === 0) throw httpError(404, 'Post not found');
+    },
+    apply: (bundle) => bundle && {
+      ...bundle,
+      posts: bundle.posts.filter((post) => String(post._id) !== postId),
+    },
+  });
 }
 
 // API Routes
+app.get('/health/live', (req, res) => healthChecks.live(req, res));
+app.get('/health/ready', (req, res) => healthChecks.ready(req, res));
+
+// Streams every matching user as NDJSON or CSV (?format=, or Accept:
+// text/csv), in no particular order. Registered before /users/:userId.
+app.get('/users/export', async (req, res) => {
+  try {
+    const { filter, fields } = exportQuery(req.query);
+    const format = req.query.format || (req.accepts(['application/x-ndjson', 'text/csv']) === 'text/csv' ? 'csv' : 'ndjson');
+    const cursor = client.db().collection('users').find(filter, {
+      projection: Object.fromEntries(fields.map((field) => [field, 1])),
+      batchSize: config.export.batchSize,
+    });
+    const { rows, aborted } = await exportUsers(cursor, res, { format, fields });
+    if (aborted) console.warn(`User export aborted by the client after ${rows} rows`);
+  } catch (err) {
+    // Once streaming has started the status is sent; all that's left is to
+    // cut the response short
+    if (res.headersSent) {
+      console.error('User export failed:', err);
+      return res.destroy();
+    }
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
 app.get('/users/:userId', async (req, res) => {
   try {
-    const userData = await getUserWithCache(req.params.userId);
-    res.json(userData);
+    const { data, status, age, warning } = await getUserWithCache(req.params.userId);
+    metrics.recordCacheResult(status);
+    res.set('X-Cache', status);
+    res.set('Age', String(Math.floor(age / 1000)));
+    if (warning) res.set('Warning', warning);
+    res.json(data);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Example of request batching: many users per round trip. Results keep the
+// order of ids, and each id reports its own status.
+app.post('/users/batch', async (req, res) => {
+  const ids = req.body && req.body.ids;
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === 'string')) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of strings' });
+  }
+  if (ids.length > config.batch.maxIds) {
+    return res.status(400).json({ error: `at most ${config.batch.maxIds} ids per batch` });
+  }
+
+  try {
+    const loader = createUserLoader();
+    const bundles = await loader.loadMany(ids);
+
+    const results = ids.map((id, i) => {
+      const bundle = bundles[i];
+      if (bundle instanceof Error) return { id, status: statusFor(bundle), error: bundle.message };
+      if (!bundle.user) return { id, status: 404, error: 'User not found' };
+      return { id, status: 200, data: bundle };
+    });
+    res.json({ results });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/stats', async (req, res) => {
+// Streaming bulk import: NDJSON or CSV, picked by Content-Type (or
+// ?format=ndjson|csv). Responds with the report once the whole body is in.
+app.post('/users/import', async (req, res) => {
+  const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  const format = req.query.format || CONTENT_TYPES[contentType];
+  if (!format) {
+    return res.status(415).json({ error: `Content-Type must be one of ${Object.keys(CONTENT_TYPES).join(', ')}` });
+  }
+
+  // One insert per chunk is expected here, not an N+1
+  nPlusOne.ignore();
   try {
-    const minAge = parseInt(req.query.minAge) || 18;
-    const stats = await getUserStats(minAge);
-    res.json(stats);
+    const report = await importUsers(req, {
+      ...config.import,
+      format,
+      toDocument: userFromRow,
+      insertChunk: importUserChunk,
+    });
+    res.json(report);
+  } catch (err) {
+    // What was imported before the failure stays imported
+    res.status(statusFor(err)).json({ error: err.message, report: err.report });
+  }
+});
+
+// Deferred (write-behind) writes answer 202 Accepted
+app.post('/users', async (req, res) => {
+  try {
+    const fields = pickFields(req.body, USER_FIELDS);
+    validateUser(fields);
+    const user = await createUser(fields);
+    // Write-behind has only queued the insert; it can still fail (e.g. on a
+    // duplicate email), so nothing is created yet
+    res.status(writePolicy.deferred ? 202 : 201).json(user);
+  } catch (err) {
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
+app.patch('/users/:userId', async (req, res) => {
+  try {
+    const fields = pickFields(req.body, USER_FIELDS);
+    validateUser(fields, { partial: true });
+    const user = await updateUser(req.params.userId, fields);
+    if (user === undefined) {
+      return res.status(202).json({ _id: req.params.userId, ...fields });
+    }
+    res.json(user);
+  } catch (err) {
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
+app.delete('/users/:userId', async (req, res) => {
+  try {
+    await deleteUser(req.params.userId);
+    res.status(writePolicy.deferred ? 202 : 204).end();
+  } catch (err) {
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
+app.post('/users/:userId/posts', async (req, res) => {
+  try {
+    const fields = pickFields(req.body, POST_FIELDS);
+    validatePost(fields);
+    const post = await createPost(req.params.userId, fields);
+    res.status(writePolicy.deferred ? 202 : 201).json(post);
+  } catch (err) {
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
+app.patch('/posts/:postId', async (req, res) => {
+  try {
+    const fields = pickFields(req.body, POST_FIELDS);
+    validatePost(fields, { partial: true });
+    const post = await updatePost(req.params.postId, fields);
+    if (post === undefined) {
+      return res.status(202).json({ _id: req.params.postId, ...fields });
+    }
+    res.json(post);
+  } catch (err) {
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
+app.delete('/posts/:postId', async (req, res) => {
+  try {
+    await deletePost(req.params.postId);
+    res.status(writePolicy.deferred ? 202 : 204).end();
+  } catch (err) {
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
+app.get('/users/:userId/posts', async (req, res) => {
+  try {
+    const { defaultLimit, maxLimit } = config.pagination;
+    // The page size is capped server-side whatever the client asks for
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || defaultLimit, 1), maxLimit);
+    const page = await getUserPosts(req.params.userId, { cursor: req.query.cursor, limit });
+    res.json({ ...page, limit });
+  } catch (err) {
+    res.status(statusFor(err)).json({ error: err.message });
+  }
+});
+
+app.get('/cache/stats', (req, res) => {
+  res.json({
+    ...cache.stats(),
+    ...readStats,
+    singleFlight: userLoads.stats(),
+    writes: writePolicy.stats(),
+    userStats: userStats.stats(),
+    ...(cacheUpdatePublisher && {
+      updates: {
+        ...cacheUpdatePublisher.stats(),
+        ...(cacheUpdateWorker && { worker: cacheUpdateWorker.stats() }),
+        ...(cacheUpdateSubscriber && { subscriber: cacheUpdateSubscriber.stats() }),
+      },
+    }),
+  });
+});
+
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.registry.contentType);
+    res.end(await metrics.registry.metrics());
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Cleanup function
-async function cleanup() {
+app.get('/pool/stats', (req, res) => {
+  res.json({
+    options: config.mongoPool,
+    ...poolMonitor.stats(),
+  });
+});
+
+// Last successful /stats result per minAge, served when the aggregation
+// fails or its breaker is open; only kept with BREAKER_FALLBACK=cache
+const lastKnownStats = config.breaker.fallback === 'cache'
+  ? createCache({ backend: 'lru', maxEntries: 100, ttl: 60 * 60 * 1000 })
+  : null;
+
+// Age says how old the data is: 0 for live results, time since the load
+// for cached ones, time since the last refresh for materialized ones
+app.get('/stats', statsLimiter, async (req, res) => {
+  const minAge = parseInt(req.query.minAge) || 18;
+  try {
+    const { stats, at, source } = await userStats.get(minAge);
+    if (lastKnownStats) await lastKnownStats.set(minAge, { stats, at });
+    res.set('X-Stats-Source', source);
+    res.set('Age', String(Math.floor((Date.now() - at) / 1000)));
+    res.json(stats);
+  } catch (err) {
+    const fallback = lastKnownStats && await lastKnownStats.get(minAge);
+    if (!fallback) return sendError(res, err);
+
+    res.set('Age', String(Math.floor((Date.now() - fallback.at) / 1000)));
+    res.set('Warning', '111 - "Revalidation Failed"');
+    res.json(fallback.stats);
+  }
+});
+
+// Breaker state for each guarded operation
+app.get('/breakers', (req, res) => {
+  res.json(Object.values(breakers).map((breaker) => breaker.stats()));
+});
+
+// Debug routes, disabled in production unless DEBUG_ROUTES=true
+if (config.debugRoutes) {
+  // Recent slow commands with their explain() findings
+  app.get('/debug/slow-queries', (req, res) => {
+    res.json({
+      slowMs: queryMonitor.slowMs,
+      offenders: queryMonitor.recent(),
+      commands: queryMonitor.stats(),
+    });
+  });
+
+  // Recent requests that repeated a query shape
+  app.get('/debug/n-plus-one', (req, res) => {
+    res.json({
+      mode: nPlusOne.mode,
+      threshold: nPlusOne.threshold,
+      violations: nPlusOne.recent(),
+    });
+  });
+}
+
+// Errors passed to next(): N+1 violations in strict mode, and bodies
+// express.json() couldn't parse. Registered after every route.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  sendError(res, err);
+});
+
+// Graceful shutdown: report not-ready, stop accepting connections, let
+// in-flight requests finish (up to SHUTDOWN_DRAIN_TIMEOUT_MS), then close
+// the cache and database connections
+let server = null;
+let shuttingDown = false;
+
+async function cleanup(signal) {
+  if (shuttingDown) {
+    console.warn(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+
   try {
+    healthChecks.markNotReady();
+    if (server) {
+      // Give load balancers time to see the failing readiness probe
+      await sleep(config.shutdown.readinessDelay);
+      const drained = await gracefulShutdown.drain(server, config.shutdown.drainTimeout);
+      console.log(drained ? 'HTTP server closed' : 'HTTP server closed with requests still running');
+    }
+
+    // Persist queued write-behind writes before the connections go away
+    await writePolicy.close();
+    // Apply pending incremental /stats changes while Mongo is still connected
+    await userStats.close();
+    // Let running cache updates finish; unacknowledged ones return to the queue
+    if (cacheUpdateWorker) await cacheUpdateWorker.close();
+    if (amqpConnection) {
+      if (cacheUpdateSubscriber) await cacheUpdateSubscriber.close();
+      await cacheUpdatePublisher.close();
+      await amqpConnection.close();
+      console.log('RabbitMQ connection closed');
+    }
+    await cache.close();
+    if (lastKnownStats) lastKnownStats.close();
+    if (rateLimitStore) rateLimitStore.close();
+    if (redisClient) {
+      await redisClient.quit();
+      console.log('Redis connection closed');
+    }
     await client.close();
     console.log('MongoDB connection closed');
     process.exit(0);
@@ -163,12 +1116,31 @@ async function cleanup() {
 }
 
 // Handle cleanup
-process.on('SIGINT', cleanup);
-process.on('SIGTERM', cleanup);
+process.on('SIGINT', () => cleanup('SIGINT'));
+process.on('SIGTERM', () => cleanup('SIGTERM'));
+
+// Lint the app's aggregation pipelines against the index manifest before
+// serving; PIPELINE_LINT=strict refuses to start on warnings
+function checkPipelines() {
+  if (config.pipelineLint === 'off') return;
+  const results = lintPipelines(appPipelines(), indexManifest);
+  for (const line of formatFindings(results, { warningsOnly: true })) {
+    console.warn(`Pipeline lint: ${line}`);
+  }
+  if (config.pipelineLint === 'strict' && hasWarnings(results)) {
+    console.error('Pipeline lint failed (PIPELINE_LINT=strict)');
+    process.exit(1);
+  }
+}
+
+checkPipelines();
 
 // Start server
-connectDB().then(() => {
-  app.listen(port, () => {
+Promise.all([connectDB(), connectRedis(), connectCacheUpdates()]).then(async () => {
+  // Builds the materialized /stats collection in the background
+  userStats.start();
+  await startCacheUpdateWorker();
+  server = app.listen(port, () => {
     console.log(`Server running on port ${port}`);
   });
 });
\ No newline at end of file
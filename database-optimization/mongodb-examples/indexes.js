@@ -0,0 +1,20 @@
+// Declarative index manifest: the indexes each collection should have.
+// Used by the app on startup, by sync-indexes.js and by the benchmarks, so
+// they can't drift apart. Supported options: name, unique, sparse,
+// partialFilterExpression, expireAfterSeconds.
+
+module.exports = {
+  users: [
+    { key: { email: 1 }, unique: true },
+    { key: { age: 1 } },
+    // Grouped on by the /stats aggregation and filtered on by the benchmarks
+    { key: { city: 1 } },
+  ],
+  posts: [
+    { key: { userId: 1 } },
+    // A user's posts newest first, with _id breaking ties: the keyset pages
+    // of GET /users/:userId/posts walk it without an in-memory sort
+    { key: { userId: 1, createdAt: -1, _id: -1 } },
+    { key: { createdAt: -1 } },
+  ],
+};
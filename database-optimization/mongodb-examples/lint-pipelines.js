@@ -0,0 +1,59 @@
+// Lint aggregation pipelines against the index manifest (see pipeline-lint.js).
+//
+//   node lint-pipelines.js                                  the app's pipelines (pipelines.js)
+//   node lint-pipelines.js --collection users pipeline.json  a pipeline from a JSON file
+//   node lint-pipelines.js --collection users -             ...or from stdin
+//   node lint-pipelines.js --json                           findings as JSON
+//
+// A file holds one pipeline (an array of stages) or a list of
+// { name, collection, pipeline } entries. Exits 1 if there are warnings.
+
+const fs = require('fs');
+const manifest = require('./indexes');
+const { appPipelines } = require('./pipelines');
+const { lintPipelines, hasWarnings, formatFindings } = require('./pipeline-lint');
+
+function parseArgs(argv) {
+  const options = { json: false, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--collection': options.collection = argv[++i]; break;
+      case '--json': options.json = true; break;
+      default:
+        if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+        options.files.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+function readEntries(file, collection) {
+  const parsed = JSON.parse(fs.readFileSync(file === '-' ? 0 : file, 'utf8'));
+  if (Array.isArray(parsed) && parsed.every((item) => item && item.pipeline)) return parsed;
+  if (!Array.isArray(parsed)) throw new Error(`${file}: expected a pipeline or a list of { name, collection, pipeline }`);
+  if (!collection) throw new Error(`${file}: pass --collection for a bare pipeline`);
+  return [{ name: file === '-' ? 'stdin' : file, collection, pipeline: parsed }];
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const entries = options.files.length > 0
+      ? options.files.flatMap((file) => readEntries(file, options.collection))
+      : appPipelines();
+    const results = lintPipelines(entries, manifest);
+
+    if (options.json) {
+      console.log(JSON.stringify(results.map(({ name, collection, findings }) => ({ name, collection, findings })), null, 2));
+    } else {
+      const report = formatFindings(results);
+      console.log(report.length > 0 ? report.join('\n') : `${entries.length} pipelines, no findings`);
+    }
+    if (hasWarnings(results)) process.exitCode = 1;
+  } catch (err) {
+    console.error('Pipeline lint error:', err.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
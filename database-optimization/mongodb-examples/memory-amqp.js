@@ -0,0 +1,301 @@
+const { EventEmitter } = require('events');
+
+// In-process stand-in for the subset of the amqplib promise API the app uses:
+// queues (with messageTtl and dead-lettering, or exclusive with a generated
+// name), direct and fanout exchanges, publish/sendToQueue, consume with
+// prefetch, ack/nack and cancel.
+// Connections from the same broker share queues, so a publisher and its
+// workers in one process behave as they would against RabbitMQ, including
+// requeueing of unacknowledged messages when a channel closes.
+// Selected with CACHE_UPDATES_URL=memory:// for local runs and tests.
+
+class MemoryAmqpBroker {
+  constructor() {
+    this.queues = new Map();
+    // The default exchange routes to the queue named by the routing key
+    this.exchanges = new Map([['', { type: 'direct', bindings: [] }]]);
+    this.consumerTags = 0;
+    this.generatedQueues = 0;
+  }
+
+  async connect() {
+    return new MemoryAmqpConnection(this);
+  }
+
+  route(exchange, routingKey, message) {
+    if (exchange === '') return this.enqueue(routingKey, message);
+    const target = this.exchanges.get(exchange);
+    if (!target) throw new Error(`NOT_FOUND - no exchange '${exchange}'`);
+    for (const binding of target.bindings) {
+      if (target.type === 'fanout' || binding.routingKey === routingKey) {
+        this.enqueue(binding.queue, message);
+      }
+    }
+  }
+
+  // Unroutable messages are dropped, as by RabbitMQ
+  enqueue(name, { content, properties, routingKey, exchange }) {
+    const queue = this.queues.get(name);
+    if (!queue) return;
+    const ttl = queue.options.messageTtl;
+    queue.messages.push({
+      content,
+      properties,
+      exchange,
+      routingKey,
+      redelivered: false,
+      expiresAt: ttl === undefined ? null : Date.now() + ttl,
+    });
+    this.scheduleExpiry(queue);
+    this.dispatch(queue);
+  }
+
+  // With one TTL per queue the head always expires first
+  scheduleExpiry(queue) {
+    if (queue.expiryTimer || queue.messages.length === 0 || queue.messages[0].expiresAt === null) return;
+    queue.expiryTimer = setTimeout(() => {
+      queue.expiryTimer = null;
+      const now = Date.now();
+      while (queue.messages.length > 0 && queue.messages[0].expiresAt !== null && queue.messages[0].expiresAt <= now) {
+        this.deadLetter(queue, queue.messages.shift(), 'expired');
+      }
+      this.scheduleExpiry(queue);
+    }, Math.max(queue.messages[0].expiresAt - Date.now(), 0));
+    queue.expiryTimer.unref();
+  }
+
+  deadLetter(queue, message, reason) {
+    const { deadLetterExchange, deadLetterRoutingKey } = queue.options;
+    if (deadLetterExchange === undefined) return;
+    const headers = { ...message.properties.headers };
+    const deaths = headers['x-death'] ? [...headers['x-death']] : [];
+    const index = deaths.findIndex((death) => death.queue === queue.name && death.reason === reason);
+    if (index === -1) {
+      deaths.unshift({ count: 1, reason, queue: queue.name, exchange: message.exchange, 'routing-keys': [message.routingKey] });
+    } else {
+      const [death] = deaths.splice(index, 1);
+      deaths.unshift({ ...death, count: death.count + 1 });
+    }
+    headers['x-death'] = deaths;
+    // Dead-lettered messages lose their per-message expiration
+    const { expiration, ...properties } = message.properties;
+    this.route(deadLetterExchange, deadLetterRoutingKey || message.routingKey, {
+      content: message.content,
+      properties: { ...properties, headers },
+      exchange: deadLetterExchange,
+      routingKey: deadLetterRoutingKey || message.routingKey,
+    });
+  }
+
+  // Hands messages to consumers round-robin, each up to its channel's prefetch
+  dispatch(queue) {
+    while (queue.messages.length > 0) {
+      const consumer = queue.consumers.find((candidate) => candidate.channel.hasCapacity());
+      if (!consumer) return;
+      // Rotate so the next message goes to the next consumer
+      queue.consumers.push(queue.consumers.splice(queue.consumers.indexOf(consumer), 1)[0]);
+      const message = queue.messages.shift();
+      consumer.channel.deliver(queue, consumer, message);
+    }
+  }
+}
+
+class MemoryAmqpConnection extends EventEmitter {
+  constructor(broker) {
+    super();
+    this.broker = broker;
+    this.channels = new Set();
+  }
+
+  async createChannel() {
+    const channel = new MemoryAmqpChannel(this);
+    this.channels.add(channel);
+    return channel;
+  }
+
+  async close() {
+    for (const channel of this.channels) await channel.close();
+    this.emit('close');
+  }
+}
+
+class MemoryAmqpChannel extends EventEmitter {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.broker = connection.broker;
+    this.prefetchCount = 0;
+    this.deliveryTags = 0;
+    // deliveryTag -> { queue, message }
+    this.unacked = new Map();
+    this.consumers = new Map();
+    // Exclusive queues declared on this channel, deleted when it closes
+    this.exclusiveQueues = new Set();
+    this.closed = false;
+  }
+
+  // An empty name asks the broker to generate one
+  async assertQueue(name, options = {}) {
+    const queueName = name === '' ? `amq.gen-${++this.broker.generatedQueues}` : name;
+    if (!this.broker.queues.has(queueName)) {
+      this.broker.queues.set(queueName, { name: queueName, options, messages: [], consumers: [], expiryTimer: null });
+      if (options.exclusive) this.exclusiveQueues.add(queueName);
+    }
+    return this.checkQueue(queueName);
+  }
+
+  async checkQueue(name) {
+    const queue = this.broker.queues.get(name);
+    if (!queue) return this.fail(`NOT_FOUND - no queue '${name}'`);
+    return { queue: name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+  }
+
+  async deleteQueue(name) {
+    const queue = this.broker.queues.get(name);
+    if (!queue) return { messageCount: 0 };
+    clearTimeout(queue.expiryTimer);
+    this.broker.queues.delete(name);
+    for (const exchange of this.broker.exchanges.values()) {
+      exchange.bindings = exchange.bindings.filter((binding) => binding.queue !== name);
+    }
+    return { messageCount: queue.messages.length };
+  }
+
+  async assertExchange(name, type = 'direct') {
+    if (!['direct', 'fanout'].includes(type)) throw new Error(`Exchange type ${type} is not supported`);
+    if (!this.broker.exchanges.has(name)) this.broker.exchanges.set(name, { type, bindings: [] });
+    return { exchange: name };
+  }
+
+  async bindQueue(queue, exchange, routingKey = '') {
+    const target = this.broker.exchanges.get(exchange);
+    if (!target) throw new Error(`NOT_FOUND - no exchange '${exchange}'`);
+    if (!target.bindings.some((binding) => binding.queue === queue && binding.routingKey === routingKey)) {
+      target.bindings.push({ queue, routingKey });
+    }
+    return {};
+  }
+
+  publish(exchange, routingKey, content, options = {}) {
+    if (this.closed) throw new Error('Channel closed');
+    const { headers = {}, ...properties } = options;
+    this.broker.route(exchange, routingKey, {
+      content: Buffer.from(content),
+      properties: { ...properties, headers: { ...headers } },
+      exchange,
+      routingKey,
+    });
+    // Never full, so callers never have to wait for 'drain'
+    return true;
+  }
+
+  sendToQueue(queue, content, options) {
+    return this.publish('', queue, content, options);
+  }
+
+  async prefetch(count) {
+    this.prefetchCount = count;
+  }
+
+  hasCapacity() {
+    return !this.closed && (this.prefetchCount === 0 || this.unacked.size < this.prefetchCount);
+  }
+
+  async consume(name, onMessage, options = {}) {
+    const queue = this.broker.queues.get(name);
+    if (!queue) throw new Error(`NOT_FOUND - no queue '${name}'`);
+    const consumerTag = options.consumerTag || `amq.ctag-${++this.broker.consumerTags}`;
+    const consumer = { consumerTag, channel: this, onMessage, noAck: Boolean(options.noAck) };
+    queue.consumers.push(consumer);
+    this.consumers.set(consumerTag, { queue, consumer });
+    setImmediate(() => this.broker.dispatch(queue));
+    return { consumerTag };
+  }
+
+  async cancel(consumerTag) {
+    const entry = this.consumers.get(consumerTag);
+    if (!entry) return {};
+    const { queue, consumer } = entry;
+    queue.consumers.splice(queue.consumers.indexOf(consumer), 1);
+    this.consumers.delete(consumerTag);
+    return { consumerTag };
+  }
+
+  deliver(queue, consumer, message) {
+    const deliveryTag = ++this.deliveryTags;
+    if (!consumer.noAck) this.unacked.set(deliveryTag, { queue, message });
+    const delivery = {
+      content: message.content,
+      fields: {
+        consumerTag: consumer.consumerTag,
+        deliveryTag,
+        redelivered: message.redelivered,
+        exchange: message.exchange,
+        routingKey: message.routingKey,
+      },
+      properties: message.properties,
+    };
+    // Asynchronously, like a frame arriving from the broker
+    setImmediate(() => consumer.onMessage(delivery));
+  }
+
+  settle(delivery) {
+    const entry = this.unacked.get(delivery.fields.deliveryTag);
+    if (!entry) throw new Error(`PRECONDITION_FAILED - unknown delivery tag ${delivery.fields.deliveryTag}`);
+    this.unacked.delete(delivery.fields.deliveryTag);
+    // A slot under the prefetch limit is free again
+    setImmediate(() => {
+      for (const { queue } of this.consumers.values()) this.broker.dispatch(queue);
+    });
+    return entry;
+  }
+
+  ack(delivery) {
+    this.settle(delivery);
+  }
+
+  // Requeued messages go back to the head of their queue; the others are
+  // dead-lettered (or dropped when the queue has no dead-letter exchange)
+  nack(delivery, allUpTo = false, requeue = true) {
+    const { queue, message } = this.settle(delivery);
+    if (requeue) {
+      queue.messages.unshift({ ...message, redelivered: true });
+      setImmediate(() => this.broker.dispatch(queue));
+    } else {
+      this.broker.deadLetter(queue, message, 'rejected');
+    }
+  }
+
+  reject(delivery, requeue = true) {
+    this.nack(delivery, false, requeue);
+  }
+
+  // A failed operation closes the channel, as RabbitMQ does: later calls on
+  // it throw, and listeners get 'error' before 'close'
+  async fail(message) {
+    const err = new Error(message);
+    this.emit('error', err);
+    await this.close();
+    throw err;
+  }
+
+  async close() {
+    if (this.closed) return;
+    for (const consumerTag of Array.from(this.consumers.keys())) await this.cancel(consumerTag);
+    this.closed = true;
+    // Unacknowledged messages are redelivered to other consumers
+    for (const { queue, message } of Array.from(this.unacked.values()).reverse()) {
+      queue.messages.unshift({ ...message, redelivered: true });
+      setImmediate(() => this.broker.dispatch(queue));
+    }
+    this.unacked.clear();
+    for (const name of this.exclusiveQueues) await this.deleteQueue(name);
+    this.exclusiveQueues.clear();
+    this.connection.channels.delete(this);
+    this.emit('close');
+  }
+}
+
+module.exports = {
+  MemoryAmqpBroker,
+};
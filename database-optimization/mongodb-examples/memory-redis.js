@@ -0,0 +1,153 @@
+// In-process stand-in for the subset of the node-redis v4 client the app uses
+// (strings with PX expiry, SCAN, pub/sub, EVAL). Clients created from the same
+// server, including duplicate()s, share keys and channels, so several "app
+// instances" in one process see each other's writes and invalidations.
+// Selected with REDIS_URL=memory:// for local runs without a Redis server.
+
+// Lua can't run here, so EVAL runs a JavaScript equivalent registered for
+// the exact script text with defineScript(). Handlers are synchronous, which
+// makes them atomic like a script on a real server.
+const scripts = new Map();
+
+// handler(redis, keys, args) with redis.get(key) and redis.set(key, value, px)
+function defineScript(script, handler) {
+  scripts.set(script, handler);
+}
+
+class MemoryRedisServer {
+  constructor() {
+    this.data = new Map();
+    this.channels = new Map();
+  }
+
+  createClient() {
+    return new MemoryRedisClient(this);
+  }
+
+  read(key) {
+    const entry = this.data.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+}
+
+class MemoryRedisClient {
+  constructor(server) {
+    this.server = server;
+    this.isOpen = false;
+    this.subscriptions = new Map();
+  }
+
+  async connect() {
+    this.isOpen = true;
+  }
+
+  async quit() {
+    for (const [channel, listener] of this.subscriptions) {
+      this.server.channels.get(channel).delete(listener);
+    }
+    this.subscriptions.clear();
+    this.isOpen = false;
+  }
+
+  duplicate() {
+    return new MemoryRedisClient(this.server);
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async get(key) {
+    const entry = this.server.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    const expiresAt = options.PX ? Date.now() + options.PX
+      : options.EX ? Date.now() + options.EX * 1000
+      : null;
+    this.server.data.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(keys) {
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (this.server.read(key)) removed++;
+      this.server.data.delete(key);
+    }
+    return removed;
+  }
+
+  async pTTL(key) {
+    const entry = this.server.read(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return entry.expiresAt - Date.now();
+  }
+
+  async eval(script, options = {}) {
+    const handler = scripts.get(script);
+    if (!handler) throw new Error('NOSCRIPT no JavaScript equivalent defined for this script');
+    const server = this.server;
+    const redis = {
+      get: (key) => {
+        const entry = server.read(key);
+        return entry ? entry.value : null;
+      },
+      set: (key, value, px) => {
+        server.data.set(key, { value: String(value), expiresAt: px ? Date.now() + px : null });
+      },
+    };
+    return handler(redis, options.keys || [], (options.arguments || []).map(String));
+  }
+
+  async *scanIterator(options = {}) {
+    const pattern = options.MATCH ? globToRegExp(options.MATCH) : null;
+    for (const key of Array.from(this.server.data.keys())) {
+      if (!this.server.read(key)) continue;
+      if (!pattern || pattern.test(key)) yield key;
+    }
+  }
+
+  async publish(channel, message) {
+    const listeners = this.server.channels.get(channel);
+    if (!listeners) return 0;
+    // Deliver asynchronously, like a real broker round trip
+    for (const listener of listeners) {
+      setImmediate(() => listener(String(message), channel));
+    }
+    return listeners.size;
+  }
+
+  async subscribe(channel, listener) {
+    if (!this.server.channels.has(channel)) {
+      this.server.channels.set(channel, new Set());
+    }
+    this.server.channels.get(channel).add(listener);
+    this.subscriptions.set(channel, listener);
+  }
+
+  async unsubscribe(channel) {
+    const listener = this.subscriptions.get(channel);
+    if (!listener) return;
+    this.server.channels.get(channel).delete(listener);
+    this.subscriptions.delete(channel);
+  }
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+module.exports = {
+  defineScript,
+  MemoryRedisServer,
+  MemoryRedisClient,
+};
@@ -0,0 +1,174 @@
+const promClient = require('prom-client');
+
+// Prometheus metrics for the example API, served at GET /metrics:
+//   http_request_duration_seconds     per route, method and status
+//   cache_requests_total              getUserWithCache results (hit/miss/stale)
+//   cache_evictions_total             entries evicted to stay within bounds
+//   mongodb_command_duration_seconds  per collection and command
+//   mongodb_pool_checkout_wait_seconds
+//   circuit_breaker_state             0 closed, 1 half-open, 2 open
+//   circuit_breaker_calls_total       per breaker and outcome
+//   rate_limit_requests_total         per limiter, allowed or limited
+// plus the prom-client defaults, which include event-loop lag and heap usage.
+
+const { STATES } = require('./circuit-breaker');
+
+const LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Tiered caches report their in-process level separately
+function evictionCount(cache) {
+  const stats = cache.stats();
+  if (stats.evictions !== undefined) return stats.evictions;
+  return stats.l1 ? stats.l1.evictions : 0;
+}
+
+function createMetrics({ cache, queryMonitor, poolMonitor, nPlusOne, cacheUpdateWorker, breakers = {} }) {
+  const registry = new promClient.Registry();
+  promClient.collectDefaultMetrics({ register: registry });
+
+  const httpDuration = new promClient.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry],
+  });
+
+  const cacheRequests = new promClient.Counter({
+    name: 'cache_requests_total',
+    help: 'User cache lookups by result (hit, miss, stale)',
+    labelNames: ['result'],
+    registers: [registry],
+  });
+
+  // The backends count evictions themselves; catch up on every scrape
+  let lastEvictions = 0;
+  new promClient.Counter({
+    name: 'cache_evictions_total',
+    help: 'Cache entries evicted to stay within the entry or byte limit',
+    registers: [registry],
+    collect() {
+      const evictions = evictionCount(cache);
+      if (evictions > lastEvictions) this.inc(evictions - lastEvictions);
+      lastEvictions = evictions;
+    },
+  });
+
+  new promClient.Gauge({
+    name: 'cache_entries',
+    help: 'Entries in the in-process cache',
+    registers: [registry],
+    collect() {
+      const stats = cache.stats();
+      const size = stats.size !== undefined ? stats.size : stats.l1 && stats.l1.size;
+      if (size !== undefined) this.set(size);
+    },
+  });
+
+  const mongoDuration = new promClient.Histogram({
+    name: 'mongodb_command_duration_seconds',
+    help: 'MongoDB command latency by collection and command',
+    labelNames: ['collection', 'command', 'outcome'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry],
+  });
+
+  queryMonitor.on('command', ({ collection, commandName, durationMs, failed }) => {
+    mongoDuration.observe(
+      { collection: collection || 'none', command: commandName, outcome: failed ? 'failure' : 'success' },
+      durationMs / 1000
+    );
+  });
+
+  const checkoutWait = new promClient.Histogram({
+    name: 'mongodb_pool_checkout_wait_seconds',
+    help: 'Time spent waiting for a connection from the MongoDB pool',
+    labelNames: ['outcome'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry],
+  });
+
+  poolMonitor.on('checkout', ({ waitMs, failed }) => {
+    checkoutWait.observe({ outcome: failed ? 'failure' : 'success' }, waitMs / 1000);
+  });
+
+  new promClient.Gauge({
+    name: 'circuit_breaker_state',
+    help: 'Circuit breaker state: 0 closed, 1 half-open, 2 open',
+    labelNames: ['breaker'],
+    registers: [registry],
+    collect() {
+      for (const breaker of Object.values(breakers)) {
+        this.set({ breaker: breaker.name }, STATES.indexOf(breaker.state));
+      }
+    },
+  });
+
+  const breakerCalls = new promClient.Counter({
+    name: 'circuit_breaker_calls_total',
+    help: 'Calls through each circuit breaker by outcome (success, failure, timeout, rejected)',
+    labelNames: ['breaker', 'outcome'],
+    registers: [registry],
+  });
+
+  for (const breaker of Object.values(breakers)) {
+    breaker.on('call', ({ name, outcome }) => breakerCalls.inc({ breaker: name, outcome }));
+  }
+
+  const rateLimited = new promClient.Counter({
+    name: 'rate_limit_requests_total',
+    help: 'Requests checked by each rate limiter by result (allowed, limited)',
+    labelNames: ['limiter', 'result'],
+    registers: [registry],
+  });
+
+  const nPlusOneRequests = new promClient.Counter({
+    name: 'n_plus_one_requests_total',
+    help: 'Requests that ran one query shape more often than the N+1 threshold',
+    labelNames: ['route'],
+    registers: [registry],
+  });
+
+  if (nPlusOne) {
+    nPlusOne.on('violation', ({ route }) => nPlusOneRequests.inc({ route }));
+  }
+
+  const cacheUpdates = new promClient.Counter({
+    name: 'cache_updates_total',
+    help: 'Cache update messages handled by this worker by result (processed, retried, dead_lettered)',
+    labelNames: ['result'],
+    registers: [registry],
+  });
+
+  if (cacheUpdateWorker) {
+    cacheUpdateWorker.on('processed', () => cacheUpdates.inc({ result: 'processed' }));
+    cacheUpdateWorker.on('retry', () => cacheUpdates.inc({ result: 'retried' }));
+    cacheUpdateWorker.on('dead', () => cacheUpdates.inc({ result: 'dead_lettered' }));
+  }
+
+  // Label by route pattern (/users/:userId), not the raw path, to keep
+  // label cardinality bounded
+  function middleware(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      end({ method: req.method, route, status_code: res.statusCode });
+    });
+    next();
+  }
+
+  return {
+    registry,
+    middleware,
+    recordCacheResult(result) {
+      cacheRequests.inc({ result: result.toLowerCase() });
+    },
+    recordRateLimit(limiter, { allowed }) {
+      rateLimited.inc({ limiter, result: allowed ? 'allowed' : 'limited' });
+    },
+  };
+}
+
+module.exports = {
+  createMetrics,
+};
@@ -0,0 +1,215 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { IGNORED_COMMANDS, commandShape, commandCollection } = require('./query-monitor');
+
+// N+1 query detection. The middleware gives every request a context
+// (AsyncLocalStorage); each Mongo command is attributed to the request that
+// issued it and counted by query shape (queryShape, so arguments don't
+// matter). A request that runs the same shape more than `threshold` times is
+// reported when it finishes:
+//   mode 'warn'    logged, and emitted as 'violation'
+//   mode 'strict'  also fails the request, so tests can't miss it: instead
+//                  of the route's response, an error (code 'ENPLUSONE',
+//                  status 500) goes to Express's error handler
+// With headers: true, responses carry X-Query-Count and, for repeated
+// shapes, X-Query-Repeated (e.g. "posts.find=25").
+//
+// When requests queue for a pool connection, the driver sends the command
+// from whichever request released one, so the async context at
+// commandStarted can be the wrong request's. Checkouts are therefore
+// attributed to the context that started them (FIFO per server, like the
+// driver's wait queue) and commands to the connection they run on.
+
+const MODES = ['off', 'warn', 'strict'];
+const HISTORY_SIZE = 50;
+
+function nPlusOneError(context, repeated) {
+  const err = new Error(`N+1 queries in ${context.method} ${context.path}: ` +
+    repeated.map(({ name, count }) => `${name} ran ${count} times`).join(', '));
+  err.code = 'ENPLUSONE';
+  err.status = 500;
+  err.repeated = repeated;
+  return err;
+}
+
+class NPlusOneDetector extends EventEmitter {
+  constructor(client, { mode = 'warn', threshold = 5, headers = false } = {}) {
+    super();
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown N+1 mode "${mode}", expected one of ${MODES.join(', ')}`);
+    }
+    this.client = client;
+    this.mode = mode;
+    this.threshold = threshold;
+    this.headers = headers;
+
+    this.storage = new AsyncLocalStorage();
+    // Contexts waiting for a connection, per pool address
+    this.waiting = new Map();
+    // Context owning each checked-out connection: connectionId -> address -> context
+    this.owners = new Map();
+    this.violations = [];
+
+    this.middleware = this.middleware.bind(this);
+    this.handlers = {
+      connectionCheckOutStarted: (event) => this.onCheckOutStarted(event),
+      connectionCheckedOut: (event) => this.onCheckedOut(event),
+      connectionCheckOutFailed: (event) => this.onCheckOutFailed(event),
+      connectionCheckedIn: (event) => this.onCheckedIn(event),
+      commandStarted: (event) => this.onCommandStarted(event),
+    };
+  }
+
+  attach() {
+    if (this.mode === 'off') return this;
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      this.client.on(event, handler);
+    }
+    return this;
+  }
+
+  detach() {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      this.client.off(event, handler);
+    }
+  }
+
+  onCheckOutStarted(event) {
+    if (!this.waiting.has(event.address)) this.waiting.set(event.address, []);
+    // Queued even outside a request, to keep the FIFO in step
+    this.waiting.get(event.address).push(this.storage.getStore());
+  }
+
+  onCheckedOut(event) {
+    const context = (this.waiting.get(event.address) || []).shift();
+    if (!this.owners.has(event.connectionId)) this.owners.set(event.connectionId, new Map());
+    this.owners.get(event.connectionId).set(event.address, context);
+  }
+
+  onCheckOutFailed(event) {
+    const queue = this.waiting.get(event.address) || [];
+    // A timed-out waiter leaves from wherever it is in the queue; its timer
+    // runs in its own context. Other failures drain from the front.
+    const index = event.reason === 'timeout' ? queue.indexOf(this.storage.getStore()) : 0;
+    if (index !== -1) queue.splice(index, 1);
+  }
+
+  onCheckedIn(event) {
+    const byAddress = this.owners.get(event.connectionId);
+    if (!byAddress) return;
+    byAddress.delete(event.address);
+    if (byAddress.size === 0) this.owners.delete(event.connectionId);
+  }
+
+  // Command events carry the socket's address rather than the pool's, so
+  // match on the connection id; ids repeat across servers, and then the
+  // current context is the best guess
+  contextFor(event) {
+    const byAddress = this.owners.get(event.connectionId);
+    if (byAddress && byAddress.size === 1) return byAddress.values().next().value;
+    return this.storage.getStore();
+  }
+
+  // Stops counting the current request, for routes that repeat a command
+  // on purpose (the chunks of a bulk import)
+  ignore() {
+    const context = this.storage.getStore();
+    if (context) context.ignored = true;
+  }
+
+  onCommandStarted(event) {
+    if (IGNORED_COMMANDS.has(event.commandName) || event.commandName === 'getMore') return;
+    const context = this.contextFor(event);
+    if (!context || context.finished || context.ignored) return;
+
+    const collection = commandCollection(event.commandName, event.command);
+    const key = `${collection}.${event.commandName} ${JSON.stringify(commandShape(event.commandName, event.command))}`;
+    context.commands++;
+    const entry = context.shapes.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      context.shapes.set(key, { name: `${collection}.${event.commandName}`, shape: key, count: 1 });
+    }
+  }
+
+  repeated(context) {
+    return Array.from(context.shapes.values())
+      .filter(({ count }) => count > this.threshold)
+      .sort((a, b) => b.count - a.count);
+  }
+
+  middleware(req, res, next) {
+    if (this.mode === 'off') return next();
+    const context = {
+      method: req.method,
+      path: req.originalUrl,
+      commands: 0,
+      shapes: new Map(),
+      finished: false,
+      ignored: false,
+    };
+
+    // Headers (and the strict check) have to happen before the response
+    // is sent, so hook the first write. In strict mode a violation replaces
+    // the route's response: the write is dropped and the error passed to
+    // next(), wherever the route responds from (its catch block included).
+    // The error handler's response goes through as usual. A route that
+    // called writeHead itself has sent its status already, so it's only
+    // reported.
+    const { writeHead, write, end } = res;
+    let checked = false;
+    const check = ({ replace }) => {
+      if (checked) return false;
+      checked = true;
+      const repeated = this.repeated(context);
+      if (this.headers && !res.headersSent) {
+        res.setHeader('X-Query-Count', String(context.commands));
+        if (repeated.length > 0) {
+          res.setHeader('X-Query-Repeated', repeated.map(({ name, count }) => `${name}=${count}`).join(', '));
+        }
+      }
+      if (!replace || this.mode !== 'strict' || repeated.length === 0 || res.headersSent) return false;
+      next(nPlusOneError(context, repeated));
+      return true;
+    };
+    res.writeHead = (...args) => {
+      check({ replace: false });
+      return writeHead.apply(res, args);
+    };
+    res.write = (...args) => (check({ replace: true }) ? true : write.apply(res, args));
+    res.end = (...args) => (check({ replace: true }) ? res : end.apply(res, args));
+
+    res.on('finish', () => {
+      context.finished = true;
+      const repeated = this.repeated(context);
+      if (repeated.length === 0) return;
+
+      const violation = {
+        at: new Date().toISOString(),
+        method: context.method,
+        // The route pattern, as in the metrics
+        route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+        path: context.path,
+        commands: context.commands,
+        threshold: this.threshold,
+        repeated,
+      };
+      this.violations.unshift(violation);
+      if (this.violations.length > HISTORY_SIZE) this.violations.pop();
+      console.warn(`N+1 queries in ${context.method} ${context.path}:`,
+        repeated.map(({ shape, count }) => `${shape} x${count}`).join('; '));
+      this.emit('violation', violation);
+    });
+
+    this.storage.run(context, next);
+  }
+
+  recent() {
+    return this.violations;
+  }
+}
+
+module.exports = {
+  NPlusOneDetector,
+};
@@ -0,0 +1,349 @@
+// Static checks for aggregation pipelines, the anti-patterns the
+// benchmarks measure, checked against the index manifest (indexes.js):
+//
+//   late-match           $match on collection fields after stages it could
+//                        run before, so they process documents it drops
+//   sort-without-index   $sort over collection documents that no declared
+//                        index supports, so it sorts in memory
+//   unused-sort          $sort right before a $group that ignores order
+//   group-before-filter  $group over the whole collection, or a filter on
+//                        the group key after the $group instead of before
+//   unbounded-lookup     $lookup without an index on the joined field, or
+//                        that can join any number of documents
+//   unbounded-unwind     $unwind before anything limits the documents
+//   missing-project      whole documents all the way to the end
+//
+// Findings are { rule, severity, stage, message, suggestion }: severity is
+// 'warning' or 'info' (worth knowing, often intended); stage is the index of
+// the offending stage. Sub-pipelines ($lookup, $facet) aren't linted.
+
+const { defaultIndexName } = require('./index-sync');
+
+const stageName = (stage) => Object.keys(stage)[0];
+const rootField = (path) => path.split('.')[0];
+
+// Stages after which documents have a new shape: nothing downstream refers
+// to collection fields any more
+const RESHAPING = ['$group', '$bucket', '$bucketAuto', '$sortByCount', '$count', '$replaceRoot', '$replaceWith', '$facet'];
+// Stages a $match can't be moved across, whatever it filters on
+const BARRIERS = ['$limit', '$skip', '$sample', '$unionWith', '$geoNear', '$search', '$out', '$merge'];
+// Stages that only narrow what a later stage sees
+const SHAPING = [...RESHAPING, '$project', '$unset'];
+// Accumulators whose result depends on the input order
+const ORDERED_ACCUMULATORS = ['$first', '$last', '$firstN', '$lastN', '$push', '$mergeObjects'];
+
+// Field paths an aggregation expression reads ('$age', { $gte: ['$age', 18] })
+function expressionFields(expr, fields = new Set()) {
+  if (typeof expr === 'string') {
+    if (expr.startsWith('$') && !expr.startsWith('$$')) fields.add(expr.slice(1));
+  } else if (Array.isArray(expr)) {
+    expr.forEach((item) => expressionFields(item, fields));
+  } else if (expr && typeof expr === 'object' && Object.getPrototypeOf(expr) === Object.prototype) {
+    Object.values(expr).forEach((value) => expressionFields(value, fields));
+  }
+  return fields;
+}
+
+// Root fields a $match filter reads; null when it can't be moved at all
+// ($text must stay first, $where is opaque)
+function matchFields(filter) {
+  const fields = new Set();
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      for (const clause of value) {
+        const clauseFields = matchFields(clause);
+        if (clauseFields === null) return null;
+        clauseFields.forEach((field) => fields.add(field));
+      }
+    } else if (key === '$expr') {
+      expressionFields(value).forEach((field) => fields.add(rootField(field)));
+    } else if (key === '$comment') {
+      continue;
+    } else if (key.startsWith('$')) {
+      return null;
+    } else {
+      fields.add(rootField(key));
+    }
+  }
+  return fields;
+}
+
+// Fields matched by equality, which an index can skip over before sorting
+function equalityFields(filter) {
+  const fields = new Set();
+  for (const [key, value] of Object.entries(filter)) {
+    const isOperator = value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).some((k) => k.startsWith('$'));
+    if (!key.startsWith('$') && (!isOperator || Object.keys(value).every((k) => k === '$eq'))) fields.add(key);
+  }
+  return fields;
+}
+
+// Root fields a stage adds, replaces or removes
+function changedFields(stage) {
+  const name = stageName(stage);
+  const spec = stage[name];
+  switch (name) {
+    case '$addFields':
+    case '$set':
+      return Object.keys(spec).map(rootField);
+    case '$unset':
+      return [].concat(spec).map(rootField);
+    case '$lookup':
+    case '$graphLookup':
+      return [rootField(spec.as)];
+    case '$unwind':
+      return [rootField((typeof spec === 'string' ? spec : spec.path).slice(1))];
+    case '$setWindowFields':
+      return Object.keys(spec.output || {}).map(rootField);
+    default:
+      return [];
+  }
+}
+
+// $project: computed and excluded fields change; with inclusions, every
+// other field is dropped too (kept lists the ones that stay)
+function projectEffect(spec) {
+  const changed = [];
+  const kept = new Set(['_id']);
+  let inclusion = false;
+  for (const [key, value] of Object.entries(spec)) {
+    if (value === 1 || value === true) {
+      inclusion = true;
+      kept.add(rootField(key));
+    } else {
+      changed.push(rootField(key));
+      if (value !== 0 && value !== false) {
+        inclusion = true;
+        kept.add(rootField(key));
+      }
+    }
+  }
+  return { changed, kept: inclusion ? kept : null };
+}
+
+function isEmptyFilter(filter) {
+  return Object.keys(filter).length === 0;
+}
+
+const formatKey = (key) => JSON.stringify(key);
+
+// Declared indexes of a collection, plus the implicit unique _id index
+function indexesFor(indexes, collection) {
+  return [{ key: { _id: 1 }, unique: true }, ...((indexes && indexes[collection]) || [])];
+}
+
+// An index supports a sort when, after any leading fields the query pins by
+// equality, its keys start with the sort keys, all in the same direction or
+// all reversed
+function sortIndex(specs, sort, equality) {
+  const sortEntries = Object.entries(sort);
+  return specs.find(({ key }) => {
+    const entries = Object.entries(key);
+    let start = 0;
+    while (start < entries.length && equality.has(entries[start][0])) start++;
+    const rest = entries.slice(start, start + sortEntries.length);
+    if (rest.length < sortEntries.length) return false;
+    const sameFields = rest.every(([field], i) => field === sortEntries[i][0]);
+    const forward = rest.every(([, direction], i) => direction === sortEntries[i][1]);
+    const reverse = rest.every(([, direction], i) => direction === -sortEntries[i][1]);
+    return sameFields && (forward || reverse);
+  });
+}
+
+// The first index usable for a filter on fields (one of them leads it)
+function filterIndex(specs, fields) {
+  return specs.find(({ key }) => fields.has(Object.keys(key)[0]));
+}
+
+function indexLabel(spec) {
+  return spec.name || defaultIndexName(spec.key);
+}
+
+function lintPipeline(pipeline, { collection, indexes } = {}) {
+  const findings = [];
+  const specs = indexesFor(indexes, collection);
+  const add = (rule, severity, stage, message, suggestion) => {
+    findings.push({ rule, severity, stage, message, ...(suggestion && { suggestion }) });
+  };
+
+  // Only before the first reshaping stage do documents come from the collection
+  let reshapedAt = -1;
+  let filtered = false;
+  const unboundedLookups = new Set();
+
+  pipeline.forEach((stage, i) => {
+    const name = stageName(stage);
+    const spec = stage[name];
+    const onCollection = reshapedAt === -1;
+
+    if (name === '$match' && onCollection && i > 0) {
+      const fields = matchFields(spec);
+      // Walk back over the stages the filter could run before
+      let target = i;
+      while (fields && target > 0) {
+        const previous = pipeline[target - 1];
+        const previousName = stageName(previous);
+        if (previousName === '$match' || BARRIERS.includes(previousName)) break;
+        if (previousName === '$project') {
+          const { changed, kept } = projectEffect(previous.$project);
+          if (changed.some((field) => fields.has(field))) break;
+          if (kept && [...fields].some((field) => !kept.has(field))) break;
+        } else if (changedFields(previous).some((field) => fields.has(field))) {
+          break;
+        }
+        target--;
+      }
+      if (target < i) {
+        const index = filterIndex(specs, fields);
+        const served = index
+          ? `; there it can use index ${indexLabel(index)}`
+          : `; no declared index leads with ${[...fields].join(' or ')}`;
+        add('late-match', 'warning', i,
+          `$match on ${[...fields].join(', ')} runs after ${stageName(pipeline[target])} (stage ${target}), which processes documents it then drops`,
+          `move it to stage ${target}${served}`);
+      }
+    }
+
+    if (name === '$match' && !onCollection) {
+      // A filter on the group key could have filtered the input instead
+      const group = pipeline[reshapedAt].$group;
+      if (group) {
+        const groupKeys = typeof group._id === 'string' ? { _id: group._id }
+          : Object.fromEntries(Object.entries(group._id || {}).map(([key, value]) => [`_id.${key}`, value]));
+        const sourceFields = Object.keys(spec)
+          .filter((key) => typeof groupKeys[key] === 'string' && groupKeys[key].startsWith('$'))
+          .map((key) => `${key} (${groupKeys[key].slice(1)})`);
+        if (sourceFields.length > 0 && sourceFields.length === Object.keys(spec).length) {
+          add('group-before-filter', 'warning', i,
+            `$match on the group key ${sourceFields.join(', ')} runs after $group (stage ${reshapedAt}), which grouped documents it then drops`,
+            'filter on the source fields before the $group');
+        }
+      }
+    }
+
+    if (name === '$match' && !isEmptyFilter(spec)) filtered = true;
+    if (['$limit', '$sample'].includes(name)) filtered = true;
+
+    if (name === '$sort' && onCollection) {
+      const sortFields = Object.keys(spec).map(rootField);
+      const before = pipeline.slice(0, i);
+      if (before.every((previous) => stageName(previous) === '$match')) {
+        const equality = new Set();
+        before.forEach((previous) => equalityFields(previous.$match).forEach((field) => equality.add(field)));
+        if (!sortIndex(specs, spec, equality)) {
+          add('sort-without-index', 'warning', i,
+            `no declared index on ${collection || 'the collection'} supports $sort ${formatKey(spec)}, so it sorts in memory`,
+            `declare an index ${formatKey({ ...Object.fromEntries([...equality].map((field) => [field, 1])), ...spec })}`);
+        }
+      } else if (!before.some((previous) => BARRIERS.includes(stageName(previous)))) {
+        // (after a $limit the in-memory sort is small, and moving it would
+        // change the result)
+        const blocker = before.map(stageName).find((previousName) => previousName !== '$match');
+        add('sort-without-index', 'warning', i,
+          `$sort ${formatKey(spec)} comes after ${blocker}, so it can't use an index and sorts in memory`,
+          sortFields.some((field) => before.some((previous) => changedFields(previous).includes(field)))
+            ? 'sort on collection fields, before stages that change documents'
+            : `move it before ${blocker}`);
+      }
+    }
+
+    if (name === '$sort') {
+      const next = pipeline[i + 1];
+      if (next && stageName(next) === '$group') {
+        const accumulators = Object.entries(next.$group)
+          .filter(([key]) => key !== '_id')
+          .map(([, accumulator]) => Object.keys(accumulator)[0]);
+        if (!accumulators.some((accumulator) => ORDERED_ACCUMULATORS.includes(accumulator))) {
+          add('unused-sort', 'warning', i,
+            `$sort feeds a $group whose accumulators (${accumulators.join(', ') || 'none'}) ignore order`,
+            'drop it, or sort the grouped results instead');
+        }
+      }
+    }
+
+    if (RESHAPING.includes(name) && onCollection && name !== '$facet') {
+      if (!filtered && name !== '$count') {
+        add('group-before-filter', 'info', i,
+          `${name} processes every document in ${collection || 'the collection'}`,
+          'add a $match first if only a subset is needed');
+      }
+    }
+
+    if (name === '$lookup') {
+      const from = indexesFor(indexes, spec.from);
+      if (spec.foreignField) {
+        const index = filterIndex(from, new Set([spec.foreignField]));
+        if (!index) {
+          add('unbounded-lookup', 'warning', i,
+            `$lookup from ${spec.from} on ${spec.foreignField} has no index to use, so each document scans ${spec.from}`,
+            `declare an index ${formatKey({ [spec.foreignField]: 1 })} on ${spec.from}`);
+        }
+      }
+      // Unique matches join at most one document
+      const unique = spec.foreignField && from.some(({ key, unique: isUnique }) =>
+        isUnique && Object.keys(key).length === 1 && Object.keys(key)[0] === spec.foreignField);
+      const limited = (spec.pipeline || []).some((subStage) => stageName(subStage) === '$limit');
+      if (!unique && !limited) {
+        unboundedLookups.add(rootField(spec.as));
+        add('unbounded-lookup', 'warning', i,
+          `$lookup from ${spec.from} can join any number of documents into ${spec.as} (documents are capped at 16MB)`,
+          'add a pipeline with $limit (and $project) to the $lookup');
+      }
+    }
+
+    if (name === '$unwind') {
+      const path = rootField((typeof spec === 'string' ? spec : spec.path).slice(1));
+      if (!filtered && !unboundedLookups.has(path)) {
+        add('unbounded-unwind', 'warning', i,
+          `$unwind ${path} multiplies every document in ${collection || 'the collection'} before anything filters them`,
+          'add a $match (or $limit) before the $unwind');
+      }
+    }
+
+    if (RESHAPING.includes(name) && reshapedAt === -1) reshapedAt = i;
+  });
+
+  const names = pipeline.map(stageName);
+  const last = names[names.length - 1];
+  if (pipeline.length > 0 && !names.some((name) => SHAPING.includes(name)) && !['$out', '$merge'].includes(last)) {
+    add('missing-project', 'warning', pipeline.length - 1,
+      'the pipeline returns whole documents',
+      'add a $project with only the fields the caller uses');
+  }
+  return findings;
+}
+
+// Lints { name, collection, pipeline } entries; returns them with findings
+function lintPipelines(entries, indexes) {
+  return entries.map((entry) => ({
+    ...entry,
+    findings: lintPipeline(entry.pipeline, { collection: entry.collection, indexes }),
+  }));
+}
+
+function hasWarnings(results) {
+  return results.some(({ findings }) => findings.some((finding) => finding.severity === 'warning'));
+}
+
+// Human-readable report, one line per finding
+function formatFindings(results, { warningsOnly = false } = {}) {
+  const lines = [];
+  for (const { name, collection, pipeline, findings } of results) {
+    for (const { rule, severity, stage, message, suggestion } of findings) {
+      if (warningsOnly && severity !== 'warning') continue;
+      lines.push(
+        `${name} (${collection}) stage ${stage} ${stageName(pipeline[stage])}: ${severity} ${rule}: ${message}` +
+        (suggestion ? ` -> ${suggestion}` : '')
+      );
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  lintPipeline,
+  lintPipelines,
+  hasWarnings,
+  formatFindings,
+};
@@ -0,0 +1,34 @@
+// Every aggregation pipeline the app runs, with representative arguments,
+// so they can be linted against the index manifest: by `npm run
+// pipelines:lint` and on startup (PIPELINE_LINT). Add new pipelines here.
+
+const { liveStatsPipeline, refreshPipeline, materializedStatsPipeline, STATS_COLLECTION } = require('./user-stats');
+
+// Newest postsPerUser posts of each user ($topN needs MongoDB 5.2+)
+function latestPostsPipeline(userIds, postsPerUser) {
+  return [
+    { $match: { userId: { $in: userIds } } },
+    { $group: {
+        _id: '$userId',
+        posts: { $topN: { n: postsPerUser, sortBy: { createdAt: -1 }, output: '$$ROOT' } }
+      }
+    }
+  ];
+}
+
+function appPipelines() {
+  return [
+    { name: 'getUsersWithPosts', collection: 'posts', pipeline: latestPostsPipeline(['<userId>'], 10) },
+    { name: 'stats (live)', collection: 'users', pipeline: liveStatsPipeline(18) },
+    { name: 'stats (materialized)', collection: STATS_COLLECTION, pipeline: materializedStatsPipeline(18) },
+    // Deliberately groups every user; its info finding is expected
+    { name: 'stats refresh (full)', collection: 'users', pipeline: refreshPipeline({}, new Date(0)) },
+    { name: 'stats refresh (incremental)', collection: 'users',
+      pipeline: refreshPipeline({ $or: [{ city: 'London', age: 30 }] }, new Date(0)) },
+  ];
+}
+
+module.exports = {
+  latestPostsPipeline,
+  appPipelines,
+};
@@ -0,0 +1,122 @@
+const { EventEmitter } = require('events');
+
+// Live connection pool stats from the driver's CMAP (connection monitoring
+// and pooling) events, which every MongoClient emits. Tracks open and
+// checked-out connections, how long checkouts wait for a connection and why
+// they fail. Emits 'checkout' ({ waitMs, failed, reason }) for each one.
+
+const WAIT_SAMPLES = 1000;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+class PoolMonitor extends EventEmitter {
+  constructor(client) {
+    super();
+    this.client = client;
+    this.open = 0;
+    this.checkedOut = 0;
+    this.maxCheckedOut = 0;
+    this.checkouts = 0;
+    this.checkoutFailures = {};
+    this.poolCleared = 0;
+    // Checkout start times per server, served in FIFO order
+    this.waiting = new Map();
+    this.waitSamples = [];
+    this.totalWaitMs = 0;
+    this.maxWaitMs = 0;
+
+    this.handlers = {
+      connectionCreated: () => { this.open++; },
+      connectionClosed: () => { this.open = Math.max(this.open - 1, 0); },
+      connectionCheckOutStarted: (event) => this.onCheckOutStarted(event),
+      connectionCheckedOut: (event) => this.onCheckedOut(event),
+      connectionCheckOutFailed: (event) => this.onCheckOutFailed(event),
+      connectionCheckedIn: () => { this.checkedOut = Math.max(this.checkedOut - 1, 0); },
+      connectionPoolCleared: () => { this.poolCleared++; },
+    };
+  }
+
+  attach() {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      this.client.on(event, handler);
+    }
+    return this;
+  }
+
+  detach() {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      this.client.off(event, handler);
+    }
+  }
+
+  onCheckOutStarted(event) {
+    if (!this.waiting.has(event.address)) this.waiting.set(event.address, []);
+    this.waiting.get(event.address).push(Date.now());
+  }
+
+  // Newer drivers report durationMS; otherwise pair with the oldest waiter
+  waitTime(event) {
+    const started = (this.waiting.get(event.address) || []).shift();
+    if (event.durationMS !== undefined) return event.durationMS;
+    return started === undefined ? 0 : Date.now() - started;
+  }
+
+  onCheckedOut(event) {
+    const waitMs = this.waitTime(event);
+    this.checkouts++;
+    this.checkedOut++;
+    this.maxCheckedOut = Math.max(this.maxCheckedOut, this.checkedOut);
+    this.recordWait(waitMs);
+    this.emit('checkout', { waitMs, failed: false });
+  }
+
+  onCheckOutFailed(event) {
+    const waitMs = this.waitTime(event);
+    // reason is e.g. 'timeout', 'poolClosed' or 'connectionError'
+    const reason = event.reason || 'unknown';
+    this.checkoutFailures[reason] = (this.checkoutFailures[reason] || 0) + 1;
+    this.recordWait(waitMs);
+    this.emit('checkout', { waitMs, failed: true, reason });
+  }
+
+  recordWait(waitMs) {
+    this.totalWaitMs += waitMs;
+    this.maxWaitMs = Math.max(this.maxWaitMs, waitMs);
+    this.waitSamples.push(waitMs);
+    if (this.waitSamples.length > WAIT_SAMPLES) this.waitSamples.shift();
+  }
+
+  stats() {
+    const sorted = [...this.waitSamples].sort((a, b) => a - b);
+    const attempts = this.checkouts + Object.values(this.checkoutFailures).reduce((sum, n) => sum + n, 0);
+    let waitQueue = 0;
+    for (const queue of this.waiting.values()) waitQueue += queue.length;
+
+    return {
+      open: this.open,
+      checkedOut: this.checkedOut,
+      maxCheckedOut: this.maxCheckedOut,
+      waitQueue,
+      checkouts: this.checkouts,
+      checkoutFailures: this.checkoutFailures,
+      poolCleared: this.poolCleared,
+      // Percentiles cover the last WAIT_SAMPLES checkouts, avg and max all of them
+      waitMs: {
+        avg: attempts > 0 ? this.totalWaitMs / attempts : 0,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        max: this.maxWaitMs,
+      },
+    };
+  }
+}
+
+module.exports = {
+  PoolMonitor,
+  percentile,
+};
@@ -0,0 +1,291 @@
+const { EventEmitter } = require('events');
+
+// Slow-query detection built on the driver's command monitoring (the client
+// must be created with monitorCommands: true). Every command's duration is
+// recorded; slow reads are re-run through explain('executionStats') and the
+// plan is checked for collection scans, in-memory sorts and poor
+// examined/returned ratios. Emits 'command' for each finished command and
+// 'offender' for each slow one.
+
+// Driver housekeeping that isn't worth recording
+const IGNORED_COMMANDS = new Set([
+  'hello', 'isMaster', 'ismaster', 'ping', 'buildInfo', 'saslStart', 'saslContinue',
+  'endSessions', 'killCursors', 'explain',
+]);
+
+// Only reads can be explained without side effects
+const EXPLAINABLE_COMMANDS = new Set(['find', 'aggregate', 'count', 'distinct']);
+
+// Session and cluster fields the driver adds to every command
+const SESSION_FIELDS = new Set(['lsid', 'txnNumber', 'autocommit', 'startTransaction', 'readConcern']);
+
+// Replace literal values with their type so queries that differ only in
+// their arguments share a shape, e.g. { _id: 'objectid', age: { $gte: 'number' } }
+function queryShape(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every((item) => item && typeof item === 'object' && !isLiteral(item))
+      ? value.map(queryShape)
+      : 'array';
+  }
+  if (value && typeof value === 'object' && !isLiteral(value)) {
+    const shape = {};
+    for (const key of Object.keys(value).sort()) shape[key] = queryShape(value[key]);
+    return shape;
+  }
+  return literalType(value);
+}
+
+function isLiteral(value) {
+  return value instanceof Date || value._bsontype !== undefined || Buffer.isBuffer(value);
+}
+
+function literalType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (value._bsontype) return value._bsontype.toLowerCase();
+  return typeof value;
+}
+
+// Collection name from a command document, e.g. { find: 'users', ... }
+function commandCollection(commandName, command) {
+  if (commandName === 'getMore') return command && command.collection;
+  const target = command && command[commandName];
+  return typeof target === 'string' ? target : undefined;
+}
+
+// The part of a command that identifies its shape: filter, sort, pipeline...
+function commandShape(commandName, command) {
+  if (!command) return {};
+  switch (commandName) {
+    case 'find':
+      return queryShape({ filter: command.filter || {}, sort: command.sort || {}, projection: command.projection || {} });
+    case 'aggregate':
+      return queryShape({ pipeline: command.pipeline || [] });
+    case 'count':
+    case 'distinct':
+      return queryShape({ query: command.query || {}, key: command.key });
+    case 'update':
+      return queryShape({ updates: (command.updates || []).map(({ q }) => ({ q })) });
+    case 'delete':
+      return queryShape({ deletes: (command.deletes || []).map(({ q }) => ({ q })) });
+    default:
+      return {};
+  }
+}
+
+// Collect every plan stage and the execution stats from explain output.
+// Walks the whole document so find, aggregate and sharded plans all work.
+function summarizePlan(explain) {
+  const stages = [];
+  let executionStats = null;
+
+  (function walk(node) {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    if (typeof node.stage === 'string') stages.push(node);
+    if (!executionStats && node.executionStats && node.executionStats.nReturned !== undefined) {
+      executionStats = node.executionStats;
+    }
+    for (const key of Object.keys(node)) {
+      // Rejected plans were not executed
+      if (key !== 'rejectedPlans' && key !== 'allPlansExecution') walk(node[key]);
+    }
+  })(explain);
+
+  return {
+    stages: stages.map((stage) => stage.stage),
+    indexes: stages.filter((stage) => stage.indexName).map((stage) => stage.indexName),
+    nReturned: executionStats ? executionStats.nReturned : undefined,
+    docsExamined: executionStats ? executionStats.totalDocsExamined : undefined,
+    keysExamined: executionStats ? executionStats.totalKeysExamined : undefined,
+    executionTimeMillis: executionStats ? executionStats.executionTimeMillis : undefined,
+  };
+}
+
+function findPlanIssues(plan, options = {}) {
+  const maxRatio = options.maxExaminedRatio || 10;
+  const minExamined = options.minDocsExamined || 100;
+  const issues = [];
+
+  if (plan.stages.includes('COLLSCAN')) {
+    issues.push('COLLSCAN: no index used, every document was scanned');
+  }
+  if (plan.stages.includes('SORT')) {
+    issues.push('SORT: results were sorted in memory instead of by an index');
+  }
+  const examined = Math.max(plan.docsExamined || 0, plan.keysExamined || 0);
+  if (examined >= minExamined && examined / Math.max(plan.nReturned || 0, 1) > maxRatio) {
+    issues.push(`Examined ${examined} keys/documents to return ${plan.nReturned}`);
+  }
+
+  return issues;
+}
+
+class QueryMonitor extends EventEmitter {
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.slowMs = options.slowMs || 100;
+    this.sampleRate = options.sampleRate === undefined ? 1 : options.sampleRate;
+    this.explainCooldown = options.explainCooldown || 60000;
+    this.historySize = options.historySize || 50;
+    this.planOptions = {
+      maxExaminedRatio: options.maxExaminedRatio,
+      minDocsExamined: options.minDocsExamined,
+    };
+
+    this.pending = new Map();
+    this.commands = new Map();
+    this.offenders = [];
+    this.lastExplained = new Map();
+    this.explaining = 0;
+
+    this.onStarted = this.onStarted.bind(this);
+    this.onSucceeded = (event) => this.onFinished(event, false);
+    this.onFailed = (event) => this.onFinished(event, true);
+  }
+
+  attach() {
+    this.client.on('commandStarted', this.onStarted);
+    this.client.on('commandSucceeded', this.onSucceeded);
+    this.client.on('commandFailed', this.onFailed);
+    return this;
+  }
+
+  detach() {
+    this.client.off('commandStarted', this.onStarted);
+    this.client.off('commandSucceeded', this.onSucceeded);
+    this.client.off('commandFailed', this.onFailed);
+  }
+
+  onStarted(event) {
+    if (IGNORED_COMMANDS.has(event.commandName)) return;
+    this.pending.set(event.requestId, {
+      commandName: event.commandName,
+      databaseName: event.databaseName,
+      collection: commandCollection(event.commandName, event.command),
+      command: event.command,
+    });
+  }
+
+  onFinished(event, failed) {
+    const started = this.pending.get(event.requestId);
+    if (!started) return;
+    this.pending.delete(event.requestId);
+
+    const durationMs = event.duration;
+    const record = { ...started, durationMs, failed };
+    this.recordDuration(record);
+    this.emit('command', record);
+
+    if (durationMs >= this.slowMs) this.onSlow(record);
+  }
+
+  recordDuration({ collection, commandName, durationMs, failed }) {
+    const key = `${collection || '-'}.${commandName}`;
+    let stats = this.commands.get(key);
+    if (!stats) {
+      stats = { collection, commandName, count: 0, failures: 0, totalMs: 0, maxMs: 0, slow: 0 };
+      this.commands.set(key, stats);
+    }
+    stats.count++;
+    stats.totalMs += durationMs;
+    stats.maxMs = Math.max(stats.maxMs, durationMs);
+    if (failed) stats.failures++;
+    if (durationMs >= this.slowMs) stats.slow++;
+  }
+
+  onSlow(record) {
+    const shape = commandShape(record.commandName, record.command);
+    const offender = {
+      at: new Date().toISOString(),
+      collection: record.collection,
+      commandName: record.commandName,
+      durationMs: record.durationMs,
+      failed: record.failed,
+      shape,
+      plan: null,
+      issues: [],
+    };
+    this.remember(offender);
+
+    if (this.shouldExplain(record, shape)) {
+      this.explain(record)
+        .then((plan) => {
+          offender.plan = plan;
+          offender.issues = findPlanIssues(plan, this.planOptions);
+          if (offender.issues.length > 0) {
+            console.warn(`Slow ${record.commandName} on ${record.collection} (${record.durationMs}ms):`, offender.issues.join('; '));
+          }
+          this.emit('offender', offender);
+        })
+        .catch((err) => {
+          offender.explainError = err.message;
+          this.emit('offender', offender);
+        });
+    } else {
+      this.emit('offender', offender);
+    }
+  }
+
+  // Explain re-runs the query, so sample it, limit concurrency and explain
+  // each shape at most once per cooldown
+  shouldExplain(record, shape) {
+    if (record.failed || !EXPLAINABLE_COMMANDS.has(record.commandName)) return false;
+    if (record.commandName === 'aggregate' && (record.command.pipeline || [])
+      .some((stage) => stage.$out || stage.$merge)) return false;
+    if (this.explaining > 0 || Math.random() >= this.sampleRate) return false;
+
+    const key = `${record.collection}.${record.commandName}:${JSON.stringify(shape)}`;
+    const last = this.lastExplained.get(key);
+    if (last && Date.now() - last < this.explainCooldown) return false;
+    this.lastExplained.set(key, Date.now());
+    return true;
+  }
+
+  async explain(record) {
+    const command = {};
+    for (const [key, value] of Object.entries(record.command)) {
+      if (!key.startsWith('$') && !SESSION_FIELDS.has(key)) command[key] = value;
+    }
+
+    this.explaining++;
+    try {
+      const result = await this.client.db(record.databaseName)
+        .command({ explain: command, verbosity: 'executionStats' });
+      return summarizePlan(result);
+    } finally {
+      this.explaining--;
+    }
+  }
+
+  remember(offender) {
+    this.offenders.unshift(offender);
+    if (this.offenders.length > this.historySize) this.offenders.pop();
+  }
+
+  recent() {
+    return this.offenders;
+  }
+
+  stats() {
+    return Array.from(this.commands.values()).map((stats) => ({
+      ...stats,
+      avgMs: stats.count > 0 ? stats.totalMs / stats.count : 0,
+    }));
+  }
+}
+
+module.exports = {
+  IGNORED_COMMANDS,
+  QueryMonitor,
+  queryShape,
+  commandShape,
+  commandCollection,
+  summarizePlan,
+  findPlanIssues,
+};
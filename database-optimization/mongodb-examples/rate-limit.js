@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { defineScript } = require('./memory-redis');
+
+// Rate limiting middleware with two algorithms:
+//   token-bucket    a bucket of `limit` tokens refilled evenly over windowMs;
+//                   allows short bursts up to the full bucket
+//   sliding-window  counts in the current and previous fixed window, the
+//                   previous one weighted by how much of it still overlaps
+//                   the last windowMs; smooth, and only two numbers per key
+// and two stores with the same interface, consume(key, algorithm, limit,
+// windowMs):
+//   MemoryStore     per process, so each instance enforces its own limit
+//   RedisStore      one Lua script per request, atomic and shared by all
+//                   instances; timestamps come from the Redis server clock
+//
+// Responses carry RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and
+// RateLimit-Reset (IETF draft); rejected ones are 429 with Retry-After.
+
+// Each algorithm is a pure function of the stored state (a string, null
+// when there is none), the time and the limit, mirrored by its Lua script.
+// It returns the new state, how long to keep it, and the decision.
+function tokenBucket(state, now, limit, windowMs) {
+  const rate = limit / windowMs;
+  let tokens = limit;
+  if (state) {
+    const [stored, updatedAt] = state.split(':').map(Number);
+    tokens = Math.min(limit, stored + Math.max(now - updatedAt, 0) * rate);
+  }
+
+  let allowed = false;
+  let retryAfterMs = 0;
+  if (tokens >= 1) {
+    tokens -= 1;
+    allowed = true;
+  } else {
+    retryAfterMs = Math.ceil((1 - tokens) / rate);
+  }
+  // Time until the bucket is full again, after which the state can go
+  const resetMs = Math.ceil((limit - tokens) / rate);
+  return {
+    state: `${tokens}:${now}`,
+    ttlMs: Math.max(resetMs, 1),
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs,
+    retryAfterMs,
+  };
+}
+
+function slidingWindow(state, now, limit, windowMs) {
+  const window = Math.floor(now / windowMs);
+  const elapsed = now - window * windowMs;
+  let count = 0;
+  let previous = 0;
+  if (state) {
+    const [storedWindow, storedCount, storedPrevious] = state.split(':').map(Number);
+    if (storedWindow === window) {
+      count = storedCount;
+      previous = storedPrevious;
+    } else if (storedWindow === window - 1) {
+      previous = storedCount;
+    }
+  }
+
+  let used = previous * ((windowMs - elapsed) / windowMs) + count;
+  let allowed = false;
+  let retryAfterMs = 0;
+  if (used + 1 <= limit) {
+    count += 1;
+    used += 1;
+    allowed = true;
+  } else if (count + 1 > limit) {
+    // Full even without the previous window: wait for the next window and
+    // for enough of this one to slide out of it
+    retryAfterMs = (windowMs - elapsed) + Math.ceil(windowMs * (1 - (limit - 1) / count));
+  } else {
+    retryAfterMs = Math.ceil(((used + 1 - limit) / previous) * windowMs);
+  }
+  return {
+    state: `${window}:${count}:${previous}`,
+    // The count is still needed as the previous window's
+    ttlMs: 2 * windowMs - elapsed,
+    allowed,
+    remaining: Math.max(Math.floor(limit - used), 0),
+    resetMs: allowed ? windowMs - elapsed : retryAfterMs,
+    retryAfterMs,
+  };
+}
+
+// KEYS[1] the counter key; ARGV limit and windowMs. Returns
+// { allowed (0/1), remaining, resetMs, retryAfterMs }.
+const NOW_MS = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local limit = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local state = redis.call('GET', KEYS[1])
+`;
+
+const TOKEN_BUCKET_SCRIPT = `${NOW_MS}
+local rate = limit / windowMs
+local tokens = limit
+if state then
+  local sep = string.find(state, ':')
+  local stored = tonumber(string.sub(state, 1, sep - 1))
+  local updatedAt = tonumber(string.sub(state, sep + 1))
+  tokens = math.min(limit, stored + math.max(now - updatedAt, 0) * rate)
+end
+local allowed = 0
+local retryAfter = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfter = math.ceil((1 - tokens) / rate)
+end
+local reset = math.ceil((limit - tokens) / rate)
+redis.call('SET', KEYS[1], string.format('%.17g', tokens) .. ':' .. now, 'PX', math.max(reset, 1))
+return { allowed, math.floor(tokens), reset, retryAfter }
+`;
+
+const SLIDING_WINDOW_SCRIPT = `${NOW_MS}
+local window = math.floor(now / windowMs)
+local elapsed = now - window * windowMs
+local count = 0
+local previous = 0
+if state then
+  local storedWindow, storedCount, storedPrevious = string.match(state, '^([^:]+):([^:]+):([^:]+)$')
+  storedWindow = tonumber(storedWindow)
+  if storedWindow == window then
+    count = tonumber(storedCount)
+    previous = tonumber(storedPrevious)
+  elseif storedWindow == window - 1 then
+    previous = tonumber(storedCount)
+  end
+end
+local used = previous * ((windowMs - elapsed) / windowMs) + count
+local allowed = 0
+local retryAfter = 0
+if used + 1 <= limit then
+  count = count + 1
+  used = used + 1
+  allowed = 1
+elseif count + 1 > limit then
+  retryAfter = (windowMs - elapsed) + math.ceil(windowMs * (1 - (limit - 1) / count))
+else
+  retryAfter = math.ceil(((used + 1 - limit) / previous) * windowMs)
+end
+redis.call('SET', KEYS[1], window .. ':' .. count .. ':' .. previous, 'PX', 2 * windowMs - elapsed)
+local reset = retryAfter
+if allowed == 1 then reset = windowMs - elapsed end
+return { allowed, math.max(math.floor(limit - used), 0), reset, retryAfter }
+`;
+
+const ALGORITHMS = {
+  'token-bucket': { apply: tokenBucket, script: TOKEN_BUCKET_SCRIPT },
+  'sliding-window': { apply: slidingWindow, script: SLIDING_WINDOW_SCRIPT },
+};
+
+// The memory:// Redis stand-in runs the JavaScript versions instead of Lua
+for (const { apply, script } of Object.values(ALGORITHMS)) {
+  defineScript(script, (redis, [key], [limit, windowMs]) => {
+    const result = apply(redis.get(key), Date.now(), Number(limit), Number(windowMs));
+    redis.set(key, result.state, result.ttlMs);
+    return [result.allowed ? 1 : 0, result.remaining, result.resetMs, result.retryAfterMs];
+  });
+}
+
+class MemoryStore {
+  constructor({ sweepInterval = 60000 } = {}) {
+    this.entries = new Map();
+    // Drop keys whose state has run out, so one-off clients don't pile up
+    this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+    this.sweepTimer.unref();
+  }
+
+  async consume(key, algorithm, limit, windowMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    const state = entry && entry.expiresAt > now ? entry.state : null;
+    const { state: next, ttlMs, ...result } = ALGORITHMS[algorithm].apply(state, now, limit, windowMs);
+    this.entries.set(key, { state: next, expiresAt: now + ttlMs });
+    return result;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+}
+
+class RedisStore {
+  constructor({ client }) {
+    this.client = client;
+  }
+
+  async consume(key, algorithm, limit, windowMs) {
+    const [allowed, remaining, resetMs, retryAfterMs] = await this.client.eval(ALGORITHMS[algorithm].script, {
+      keys: [key],
+      arguments: [String(limit), String(windowMs)],
+    });
+    return { allowed: allowed === 1, remaining, resetMs, retryAfterMs };
+  }
+
+  close() {}
+}
+
+// API keys are hashed so they don't end up in Redis key names
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+
+const KEY_FUNCTIONS = {
+  ip: (req) => `ip:${req.ip}`,
+  // Clients without an X-API-Key header are limited by IP
+  'api-key': (req) => {
+    const apiKey = req.get('X-API-Key');
+    return apiKey ? `key:${hashKey(apiKey)}` : `ip:${req.ip}`;
+  },
+};
+
+const seconds = (ms) => Math.ceil(ms / 1000);
+
+// Express middleware. keyBy is 'ip', 'api-key' or a function of the request;
+// onResult(name, result) sees every decision. If the store fails, requests
+// are let through: an outage of the limiter shouldn't take the API down.
+// With several limiters on a route, the last one's headers win, so register
+// the strictest last.
+function rateLimit({ name, store, algorithm = 'sliding-window', limit, windowMs, keyBy = 'ip', onResult }) {
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unknown rate limit algorithm "${algorithm}", expected one of ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  const keyFor = typeof keyBy === 'function' ? keyBy : KEY_FUNCTIONS[keyBy];
+  if (!keyFor) {
+    throw new Error(`Unknown rate limit key "${keyBy}", expected one of ${Object.keys(KEY_FUNCTIONS).join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await store.consume(`ratelimit:${name}:${keyFor(req)}`, algorithm, limit, windowMs);
+    } catch (err) {
+      console.error(`Rate limiter ${name} failed, allowing request:`, err.message);
+      return next();
+    }
+    if (onResult) onResult(name, result);
+
+    res.set('RateLimit-Policy', `${limit};w=${seconds(windowMs)}`);
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(seconds(result.resetMs)));
+    if (result.allowed) return next();
+
+    res.set('Retry-After', String(Math.max(seconds(result.retryAfterMs), 1)));
+    res.status(429).json({ error: 'Too many requests' });
+  };
+}
+
+function createRateLimitStore({ store, client }) {
+  if (store === 'redis') return new RedisStore({ client });
+  if (store === 'memory') return new MemoryStore();
+  throw new Error(`Unknown rate limit store "${store}", expected memory or redis`);
+}
+
+module.exports = {
+  ALGORITHMS,
+  MemoryStore,
+  RedisStore,
+  rateLimit,
+  createRateLimitStore,
+};
@@ -0,0 +1,18 @@
+const { createClient } = require('redis');
+const { MemoryRedisServer } = require('./memory-redis');
+
+// One shared in-process server so every memory:// client sees the same data
+let memoryServer = null;
+
+// node-redis client for redis:// URLs, in-process stand-in for memory://
+function createRedisClient(url) {
+  if (url.startsWith('memory:')) {
+    if (!memoryServer) memoryServer = new MemoryRedisServer();
+    return memoryServer.createClient();
+  }
+  return createClient({ url });
+}
+
+module.exports = {
+  createRedisClient,
+};
@@ -0,0 +1,58 @@
+// Request coalescing: concurrent calls for the same key share one in-flight
+// promise, so a hot key expiring triggers a single load instead of one per
+// waiting request. Results are not kept once the promise settles, so errors
+// reach every waiter but are never cached.
+
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+    this.executions = 0;
+    this.coalesced = 0;
+    this.failures = 0;
+  }
+
+  do(key, fn) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.coalesced++;
+      return pending;
+    }
+
+    this.executions++;
+    const promise = Promise.resolve()
+      .then(fn)
+      .catch((err) => {
+        this.failures++;
+        throw err;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  stats() {
+    return {
+      inFlight: this.inFlight.size,
+      executions: this.executions,
+      coalesced: this.coalesced,
+      failures: this.failures,
+    };
+  }
+}
+
+// Probabilistic early expiration ("XFetch"): the closer an entry is to
+// expiring, and the longer it took to load (delta), the more likely a reader
+// is to refresh it ahead of time. beta > 1 favours earlier refreshes, 0
+// disables them.
+function shouldRefreshEarly(entry, beta, now = Date.now()) {
+  if (!beta || !entry.expiresAt) return false;
+  return now - entry.delta * beta * Math.log(Math.random()) >= entry.expiresAt;
+}
+
+module.exports = {
+  SingleFlight,
+  shouldRefreshEarly,
+};
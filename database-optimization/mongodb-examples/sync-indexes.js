@@ -0,0 +1,48 @@
+// Compare the index manifest with the live database and optionally sync it.
+//
+//   node sync-indexes.js                    dry run; exits 1 if indexes drifted
+//   node sync-indexes.js --apply            create missing indexes
+//   node sync-indexes.js --apply --rebuild  also rebuild changed indexes
+//   node sync-indexes.js --apply --prune    also drop indexes not in the manifest
+
+const { MongoClient } = require('mongodb');
+const config = require('./config');
+const manifest = require('./indexes');
+const { planIndexSync, applyIndexSync, hasDrift, formatPlan } = require('./index-sync');
+
+async function main() {
+  const args = new Set(process.argv.slice(2));
+  const apply = args.has('--apply');
+  const rebuild = args.has('--rebuild');
+  const prune = args.has('--prune');
+
+  const client = new MongoClient(config.mongoUri);
+  try {
+    await client.connect();
+    const db = client.db();
+
+    const plan = await planIndexSync(db, manifest);
+    const report = formatPlan(plan);
+    console.log(report.length > 0 ? report.join('\n') : 'Indexes match the manifest');
+
+    if (!apply) {
+      if (hasDrift(plan, { prune: true })) process.exitCode = 1;
+      return;
+    }
+
+    const actions = await applyIndexSync(db, plan, { rebuild, prune });
+    for (const { collection, action, index } of actions) {
+      console.log(`${collection}: ${action} ${index}`);
+    }
+    if (!rebuild && Object.values(plan).some((diff) => diff.changed.length > 0)) {
+      console.log('Changed indexes were left as they are; pass --rebuild to recreate them');
+    }
+  } catch (err) {
+    console.error('Index sync error:', err);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+main();
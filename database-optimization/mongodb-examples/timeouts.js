@@ -0,0 +1,22 @@
+// Reject if a promise doesn't settle within ms. The underlying operation
+// keeps running; this only stops the caller from waiting on it.
+function withTimeout(promise, ms, message = `Timed out after ${ms}ms`) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(message);
+      err.code = 'ETIMEDOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  withTimeout,
+  sleep,
+};
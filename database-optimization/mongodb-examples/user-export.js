@@ -0,0 +1,81 @@
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Streaming export of users (GET /users/export) as NDJSON or CSV. The cursor
+// is piped to the response, so at most one batch of documents (the cursor's
+// batchSize) plus the stream buffers is in memory, however many users match.
+// Reading from Mongo pauses while the client isn't keeping up, and if the
+// client disconnects the cursor is closed, which kills it on the server too.
+//
+// CSV has a header row of _id and the exported fields, and reads back in
+// through POST /users/import.
+
+const MEDIA_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv',
+};
+const EXPORT_FORMATS = Object.keys(MEDIA_TYPES);
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    // ObjectIds print as hex, other objects as JSON
+    text = value._bsontype ? String(value) : JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Documents in, lines of text out
+function formatter(format, columns) {
+  const line = format === 'csv'
+    ? (doc) => `${columns.map((column) => csvCell(doc[column])).join(',')}\n`
+    : (doc) => `${JSON.stringify(doc)}\n`;
+  const transform = new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      transform.rows++;
+      callback(null, line(doc));
+    },
+  });
+  transform.rows = 0;
+  if (format === 'csv') transform.push(`${columns.join(',')}\n`);
+  return transform;
+}
+
+// Resolves to { rows, aborted } once the response has ended or the client
+// has gone. fields are the exported fields besides _id (the cursor's
+// projection, and the CSV columns).
+async function exportUsers(cursor, res, { format, fields }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    const err = new Error(`Unsupported export format "${format}", expected one of ${EXPORT_FORMATS.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  // Runs the query before anything is sent, so a bad filter or an
+  // unavailable database still gets an error status. Past this point a
+  // failure can only cut the response short.
+  await cursor.hasNext();
+
+  res.set('Content-Type', MEDIA_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="users.${format}"`);
+  const lines = formatter(format, ['_id', ...fields]);
+  try {
+    // Destroys every stream on failure: the cursor stream closes the cursor
+    await pipeline(cursor.stream(), lines, res);
+  } catch (err) {
+    if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return { rows: lines.rows, aborted: true };
+    throw err;
+  }
+  return { rows: lines.rows, aborted: false };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportUsers,
+};
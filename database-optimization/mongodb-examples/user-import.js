@@ -0,0 +1,235 @@
+const { StringDecoder } = require('string_decoder');
+
+// Streaming import of users (POST /users/import) from NDJSON (one JSON object
+// per line) or CSV (a header row, then one user per row). Rows are parsed as
+// the body arrives, checked by toDocument and written in chunks of chunkSize
+// documents. One chunk is written while the next one fills; once that one is
+// full too, reading stops until the write finishes, so memory stays bounded
+// however large the upload is.
+//
+// The report counts every row and lists the line of each row that wasn't
+// inserted (up to maxReportedErrors):
+//   { rows, inserted, duplicates, invalid, errors: [{ line, reason, message }],
+//     errorsTruncated }
+// reason is 'invalid' (unparseable, or rejected by toDocument) or
+// 'duplicate' (duplicate key, e.g. the unique index on users.email).
+
+const FORMATS = ['ndjson', 'csv'];
+
+const CONTENT_TYPES = {
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'text/csv': 'csv',
+};
+
+function importError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Lines of the stream as { line, text }, numbered from 1. Reading is paused
+// while the consumer is busy (async iteration of the stream). Stopping early
+// leaves the stream open, so an HTTP request can still be answered.
+async function* readLines(stream, maxLineLength) {
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let line = 0;
+
+  for await (const chunk of stream.iterator({ destroyOnReturn: false })) {
+    buffered += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let start = 0;
+    let end;
+    while ((end = buffered.indexOf('\n', start)) !== -1) {
+      line++;
+      yield { line, text: buffered.slice(start, end).replace(/\r$/, '') };
+      start = end + 1;
+    }
+    buffered = buffered.slice(start);
+    if (buffered.length > maxLineLength) {
+      throw importError(413, `Line ${line + 1} is longer than ${maxLineLength} characters`);
+    }
+  }
+
+  buffered += decoder.end();
+  if (buffered.length > 0) {
+    line++;
+    yield { line, text: buffered.replace(/\r$/, '') };
+  }
+}
+
+// Fields of one CSV record (RFC 4180 quoting), or null when a quoted field
+// is still open at the end of the text, i.e. continues on the next line
+function parseCsvRecord(text) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+// Rows as { line, row } or { line, error }; line is where the row starts
+async function* ndjsonRows(lines) {
+  for await (const { line, text } of lines) {
+    if (text.trim() === '') continue;
+    let row;
+    try {
+      row = JSON.parse(text);
+    } catch (err) {
+      yield { line, error: 'invalid JSON' };
+      continue;
+    }
+    if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+      yield { line, error: 'expected a JSON object' };
+      continue;
+    }
+    yield { line, row };
+  }
+}
+
+// CSV cells are all strings; these columns are numbers in JSON
+const INTEGER_COLUMNS = new Set(['age']);
+
+// Empty cells are left out of the row, and integers in INTEGER_COLUMNS
+// become numbers, so CSV rows validate like JSON ones
+function csvValue(name, value) {
+  return INTEGER_COLUMNS.has(name) && /^-?\d+$/.test(value) ? Number(value) : value;
+}
+
+async function* csvRows(lines, maxLineLength) {
+  let header = null;
+  let pending = null;
+
+  for await (const { line, text } of lines) {
+    const record = pending ? { line: pending.line, text: `${pending.text}\n${text}` } : { line, text };
+    const fields = parseCsvRecord(record.text);
+    if (fields === null) {
+      if (record.text.length > maxLineLength) {
+        throw importError(413, `Row at line ${record.line} is longer than ${maxLineLength} characters`);
+      }
+      pending = record;
+      continue;
+    }
+    pending = null;
+    if (record.text.trim() === '') continue;
+
+    if (!header) {
+      header = fields.map((name) => name.trim());
+      continue;
+    }
+    if (fields.length !== header.length) {
+      yield { line: record.line, error: `expected ${header.length} columns, got ${fields.length}` };
+      continue;
+    }
+    const row = {};
+    header.forEach((name, i) => {
+      if (fields[i] !== '') row[name] = csvValue(name, fields[i]);
+    });
+    yield { line: record.line, row };
+  }
+
+  if (pending) yield { line: pending.line, error: 'unterminated quoted field' };
+}
+
+// toDocument(row) returns the document to insert or throws (its message ends
+// up in the report). insertChunk(documents) resolves to { writeErrors } with
+// the index and code of each document that wasn't written.
+async function importUsers(stream, { format, toDocument, insertChunk, chunkSize = 1000,
+  maxLineLength = 65536, maxReportedErrors = 1000 }) {
+  if (!FORMATS.includes(format)) {
+    throw importError(415, `Unsupported import format "${format}", expected one of ${FORMATS.join(', ')}`);
+  }
+
+  const report = { rows: 0, inserted: 0, duplicates: 0, invalid: 0, errors: [], errorsTruncated: false };
+  const reject = (line, reason, message) => {
+    report[reason === 'duplicate' ? 'duplicates' : 'invalid']++;
+    if (report.errors.length < maxReportedErrors) {
+      report.errors.push({ line, reason, message });
+    } else {
+      report.errorsTruncated = true;
+    }
+  };
+
+  const write = async (chunk) => {
+    const { writeErrors } = await insertChunk(chunk.map(({ document }) => document));
+    const failed = new Map(writeErrors.map((writeError) => [writeError.index, writeError]));
+    chunk.forEach(({ line }, i) => {
+      const writeError = failed.get(i);
+      if (!writeError) {
+        report.inserted++;
+      } else {
+        reject(line, writeError.code === 11000 ? 'duplicate' : 'invalid', writeError.message);
+      }
+    });
+  };
+
+  const lines = readLines(stream, maxLineLength);
+  const rows = format === 'csv' ? csvRows(lines, maxLineLength) : ndjsonRows(lines);
+  let chunk = [];
+  // The chunk being written, and how it failed
+  let writing = Promise.resolve();
+  let failure = null;
+
+  try {
+    for await (const { line, row, error } of rows) {
+      if (failure) throw failure;
+      report.rows++;
+      if (error) {
+        reject(line, 'invalid', error);
+        continue;
+      }
+      try {
+        chunk.push({ line, document: toDocument(row) });
+      } catch (err) {
+        reject(line, 'invalid', err.message);
+        continue;
+      }
+
+      if (chunk.length >= chunkSize) {
+        await writing;
+        if (failure) throw failure;
+        writing = write(chunk).catch((err) => { failure = err; });
+        chunk = [];
+      }
+    }
+    await writing;
+    if (failure) throw failure;
+    if (chunk.length > 0) await write(chunk);
+  } catch (err) {
+    // Let a running write finish (and be counted) before giving up
+    await writing;
+    err.report = report;
+    throw err;
+  }
+
+  return report;
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  importUsers,
+};
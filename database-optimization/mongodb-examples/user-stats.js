@@ -0,0 +1,282 @@
+const { createCache } = require('./cache');
+const { SingleFlight } = require('./single-flight');
+
+// User counts and average age per city for users at least minAge old
+// (GET /stats), served one of three ways:
+//   live          the aggregation over all users on every request
+//   cached        live results cached per minAge for cacheTtl; any write
+//                 that changes a user's age or city drops them all, and so
+//                 does any user write by another instance (as far as the
+//                 app hears of it, see remoteUserChanged)
+//   materialized  read from a pre-aggregated collection with one document
+//                 per (city, age), so a request groups a few hundred
+//                 documents instead of every user. $merge keeps it up to
+//                 date: a full refresh every refreshInterval, and with
+//                 materialize 'incremental' also a re-aggregation of just
+//                 the groups touched by writes, incrementalDelay after them
+// Results carry `at`, when the data was computed, so responses can report
+// its age.
+
+const MODES = ['live', 'cached', 'materialized'];
+const STATS_COLLECTION = 'user_stats_by_city_age';
+// Refresh times of materialized collections, keyed by collection name
+const META_COLLECTION = 'materialized_views';
+
+// Example of aggregation optimization
+function liveStatsPipeline(minAge) {
+  return [
+    // Early filtering to reduce documents
+    { $match: { age: { $gte: minAge } } },
+    // Group after filtering
+    { $group: {
+        _id: '$city',
+        userCount: { $sum: 1 },
+        avgAge: { $avg: '$age' }
+      }
+    },
+    // Sort after reducing data
+    { $sort: { userCount: -1 } }
+  ];
+}
+
+// Groups the matching users by (city, age) and merges the groups into the
+// materialized collection, stamped with the refresh time
+function refreshPipeline(match, refreshedAt) {
+  return [
+    { $match: match },
+    { $group: {
+        // Missing fields group as null, so writes can name the group
+        _id: { city: { $ifNull: ['$city', null] }, age: { $ifNull: ['$age', null] } },
+        userCount: { $sum: 1 },
+        ageSum: { $sum: '$age' }
+      }
+    },
+    { $set: { refreshedAt } },
+    { $merge: { into: STATS_COLLECTION, on: '_id', whenMatched: 'replace', whenNotMatched: 'insert' } }
+  ];
+}
+
+// Same result shape as liveStatsPipeline, from the pre-aggregated groups
+function materializedStatsPipeline(minAge) {
+  return [
+    { $match: { '_id.age': { $gte: minAge } } },
+    { $group: {
+        _id: '$_id.city',
+        userCount: { $sum: '$userCount' },
+        ageSum: { $sum: '$ageSum' }
+      }
+    },
+    { $project: { userCount: 1, avgAge: { $divide: ['$ageSum', '$userCount'] } } },
+    { $sort: { userCount: -1 } }
+  ];
+}
+
+const groupOf = (user) => ({ city: user.city === undefined ? null : user.city, age: user.age === undefined ? null : user.age });
+const groupKey = ({ city, age }) => JSON.stringify([city, age]);
+
+class UserStats {
+  // db() returns the database; guard(operation) runs a request-time query,
+  // passing it the maxTimeMS to use (the app wraps it in a circuit breaker)
+  constructor({ db, mode = 'live', cacheTtl = 60000, materialize = 'scheduled',
+    refreshInterval = 60000, incrementalDelay = 1000, guard = (operation) => operation() }) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown stats mode "${mode}", expected one of ${MODES.join(', ')}`);
+    }
+    if (!['scheduled', 'incremental'].includes(materialize)) {
+      throw new Error(`Unknown materialize option "${materialize}", expected scheduled or incremental`);
+    }
+    this.db = db;
+    this.mode = mode;
+    this.materialize = materialize;
+    this.refreshInterval = refreshInterval;
+    this.incrementalDelay = incrementalDelay;
+    this.guard = guard;
+
+    this.cache = createCache({ backend: 'lru', maxEntries: 1000, ttl: cacheTtl });
+    this.loads = new SingleFlight();
+    // Bumped on invalidation, so a load that started before a write can't
+    // cache its (now stale) result
+    this.generation = 0;
+    this.invalidations = 0;
+
+    // Groups touched by writes since the last incremental refresh
+    this.dirty = new Map();
+    this.dirtyTimer = null;
+    this.refreshTimer = null;
+    // Refreshes run one at a time, in order
+    this.queue = Promise.resolve();
+    this.refreshes = { full: 0, incremental: 0, failed: 0, lastDurationMs: 0 };
+  }
+
+  async get(minAge) {
+    if (this.mode === 'cached') return this.getCached(minAge);
+    if (this.mode === 'materialized') return this.getMaterialized(minAge);
+    return this.getLive(minAge);
+  }
+
+  async getLive(minAge) {
+    const stats = await this.guard((maxTimeMS) =>
+      this.db().collection('users').aggregate(liveStatsPipeline(minAge), { maxTimeMS }).toArray());
+    return { stats, at: Date.now(), source: 'live' };
+  }
+
+  async getCached(minAge) {
+    const cached = await this.cache.get(minAge);
+    if (cached !== undefined) return { ...cached, source: 'cached' };
+
+    const generation = this.generation;
+    return this.loads.do(`${generation}:${minAge}`, async () => {
+      const result = await this.getLive(minAge);
+      if (generation === this.generation) {
+        await this.cache.set(minAge, { stats: result.stats, at: result.at });
+      }
+      return result;
+    });
+  }
+
+  async getMaterialized(minAge) {
+    const [stats, meta] = await this.guard((maxTimeMS) => Promise.all([
+      this.db().collection(STATS_COLLECTION).aggregate(materializedStatsPipeline(minAge), { maxTimeMS }).toArray(),
+      this.db().collection(META_COLLECTION).findOne({ _id: STATS_COLLECTION }, { maxTimeMS }),
+    ]));
+    // Not built yet (first start): answer from the users themselves
+    if (!meta) return this.getLive(minAge);
+    return { stats, at: meta.refreshedAt.getTime(), source: 'materialized' };
+  }
+
+  // Called after every user write with the user before and after it (null
+  // for inserts and deletes); only age and city matter
+  userChanged(before, after) {
+    const groups = [before, after].filter(Boolean).map(groupOf);
+    if (groups.length === 2 && groupKey(groups[0]) === groupKey(groups[1])) return;
+
+    if (this.mode === 'cached') this.invalidate();
+    if (this.mode === 'materialized' && this.materialize === 'incremental') {
+      for (const group of groups) this.dirty.set(groupKey(group), group);
+      if (!this.dirtyTimer) {
+        this.dirtyTimer = setTimeout(() => {
+          this.dirtyTimer = null;
+          this.enqueue(() => this.refreshGroups());
+        }, this.incrementalDelay);
+        this.dirtyTimer.unref();
+      }
+    }
+  }
+
+  // Called for user writes made by other instances (the cache updates
+  // fanout), which only name the user. That's enough to drop cached results.
+  // Incremental refreshes don't need them: each instance re-aggregates the
+  // groups its own writes touched.
+  remoteUserChanged() {
+    if (this.mode === 'cached') this.invalidate();
+  }
+
+  invalidate() {
+    this.generation++;
+    this.invalidations++;
+    this.cache.clear();
+  }
+
+  // Builds the materialized collection now and then every refreshInterval
+  // (0 leaves scheduling to another instance or an external job)
+  start() {
+    if (this.mode !== 'materialized') return;
+    this.enqueue(() => this.refresh());
+    if (this.refreshInterval > 0) {
+      this.refreshTimer = setInterval(() => this.enqueue(() => this.refresh()), this.refreshInterval);
+      this.refreshTimer.unref();
+    }
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((err) => {
+      this.refreshes.failed++;
+      console.error('Stats refresh failed:', err);
+    });
+    return this.queue;
+  }
+
+  // Re-aggregates every user; groups that no longer exist are the ones the
+  // refresh didn't stamp
+  async refresh() {
+    const db = this.db();
+    const startedAt = new Date();
+    await db.collection('users').aggregate(refreshPipeline({}, startedAt), { allowDiskUse: true }).toArray();
+    await db.collection(STATS_COLLECTION).deleteMany({ refreshedAt: { $lt: startedAt } });
+    await this.markRefreshed(startedAt);
+    this.refreshes.full++;
+    this.refreshes.lastDurationMs = Date.now() - startedAt.getTime();
+  }
+
+  // Re-aggregates only the dirty groups, using the { age: 1 } index
+  async refreshGroups() {
+    if (this.dirty.size === 0) return;
+    const groups = Array.from(this.dirty.values());
+    this.dirty.clear();
+
+    const db = this.db();
+    const startedAt = new Date();
+    try {
+      await db.collection('users').aggregate(refreshPipeline({ $or: groups }, startedAt)).toArray();
+      // Groups whose last user left produce no output to merge
+      await db.collection(STATS_COLLECTION).deleteMany({
+        _id: { $in: groups },
+        refreshedAt: { $lt: startedAt },
+      });
+    } catch (err) {
+      // Retry with the next batch
+      for (const group of groups) this.dirty.set(groupKey(group), group);
+      throw err;
+    }
+    await this.markRefreshed(startedAt);
+    this.refreshes.incremental++;
+  }
+
+  // Takes the time the refresh started, not when it finished: writes made
+  // while it ran may be missing from it, so the data is only known to be
+  // current as of the start
+  markRefreshed(startedAt) {
+    return this.db().collection(META_COLLECTION).updateOne(
+      { _id: STATS_COLLECTION },
+      { $set: { refreshedAt: startedAt } },
+      { upsert: true }
+    );
+  }
+
+  stats() {
+    return {
+      mode: this.mode,
+      ...(this.mode === 'cached' && {
+        cache: this.cache.stats(),
+        invalidations: this.invalidations,
+        singleFlight: this.loads.stats(),
+      }),
+      ...(this.mode === 'materialized' && {
+        materialize: this.materialize,
+        refreshes: { ...this.refreshes },
+        pendingGroups: this.dirty.size,
+      }),
+    };
+  }
+
+  // Applies pending incremental changes and waits for running refreshes
+  async close() {
+    clearInterval(this.refreshTimer);
+    if (this.dirtyTimer) {
+      clearTimeout(this.dirtyTimer);
+      this.dirtyTimer = null;
+      this.enqueue(() => this.refreshGroups());
+    }
+    await this.queue;
+    this.cache.close();
+  }
+}
+
+module.exports = {
+  MODES,
+  STATS_COLLECTION,
+  liveStatsPipeline,
+  materializedStatsPipeline,
+  refreshPipeline,
+  UserStats,
+};
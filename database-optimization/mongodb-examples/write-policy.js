@@ -0,0 +1,206 @@
+// Keeps cached user+posts bundles consistent with writes. The three patterns
+// from caching-strategies/README.md:
+//   invalidate     write to Mongo, then drop the cached bundle
+//   write-through  write to Mongo, then reload and cache the fresh bundle
+//   write-behind   update the cached bundle now, persist to Mongo in the
+//                  background (fast writes, but a crash loses queued ones)
+
+const POLICIES = ['invalidate', 'write-through', 'write-behind'];
+
+class WritePolicy {
+  constructor(options = {}) {
+    this.policy = options.policy || 'invalidate';
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown cache write policy "${this.policy}" (expected one of: ${POLICIES.join(', ')})`);
+    }
+    this.cache = options.cache;
+    // load(userId) -> fresh bundle, store(userId, bundle, delta, { fill })
+    // -> caches it (delta is how long the load took, fill is set for
+    // read-through fills as opposed to writes)
+    this.load = options.load;
+    this.store = options.store;
+    // publish(key), when given, announces every persisted write (the cache
+    // updates queue). A failed local cache update is then logged and left
+    // to the queue's workers instead of failing the write.
+    this.publish = options.publish || null;
+    this.maxBatch = options.maxBatch || 100;
+
+    this.queue = [];
+    this.flushing = null;
+    this.flushed = 0;
+    this.failed = 0;
+
+    // Loads in flight per key, with the key's version. A write bumps it, so
+    // a load that started before the write (and may have read the old data)
+    // isn't cached after the write dropped or replaced the bundle. Keys
+    // without loads in flight aren't tracked.
+    this.loads = new Map();
+    this.discarded = 0;
+
+    if (this.deferred) {
+      this.flusher = setInterval(() => this.flush(), options.flushInterval || 1000);
+      this.flusher.unref();
+    }
+  }
+
+  get deferred() {
+    return this.policy === 'write-behind';
+  }
+
+  // persist() performs the Mongo write; apply(bundle) returns the bundle with
+  // the change applied (bundle is undefined when nothing is cached), or null
+  // when the cached copy should just be dropped
+  async write(userId, { persist, apply }) {
+    const key = `user:${userId}`;
+
+    if (this.deferred) {
+      await this.applyToCache(userId, apply);
+      this.queue.push({ key, persist });
+      if (this.queue.length >= this.maxBatch) this.flush();
+      return undefined;
+    }
+
+    const result = await persist();
+    this.supersede(key);
+
+    try {
+      if (this.policy === 'write-through') {
+        try {
+          await this.loadAndStore([userId], async ([id]) => [await this.load(id)]);
+        } catch (err) {
+          // Never leave the old bundle behind if the reload fails
+          console.error('Write-through reload failed:', err);
+          await this.cache.delete(key);
+        }
+      } else {
+        await this.cache.delete(key);
+      }
+    } catch (err) {
+      if (!this.publish) throw err;
+      console.error(`Cache update failed for ${key}, leaving it to the queue:`, err);
+    }
+    this.announce(key);
+
+    return result;
+  }
+
+  // Version of the key's bundle, for coalescing loads: a load started after
+  // a write mustn't join one started before it
+  version(key) {
+    const entry = this.loads.get(key);
+    return entry ? entry.version : 0;
+  }
+
+  // Outdates the loads of key in flight; called once the write is persisted
+  supersede(key) {
+    const entry = this.loads.get(key);
+    if (entry) entry.version++;
+  }
+
+  // Loads the users' bundles with loadAll(userIds) and caches them, except
+  // those superseded by a write meanwhile. Resolves to the bundles either way.
+  // Reads pass fill; write-through reloads store their bundle as a write.
+  async loadAndStore(userIds, loadAll, { fill = false } = {}) {
+    const start = Date.now();
+    const loads = userIds.map((userId) => {
+      const key = `user:${userId}`;
+      if (!this.loads.has(key)) this.loads.set(key, { version: 0, running: 0 });
+      const entry = this.loads.get(key);
+      entry.running++;
+      return { key, entry, version: entry.version };
+    });
+
+    try {
+      const bundles = await loadAll(userIds);
+      const delta = Date.now() - start;
+      await Promise.all(userIds.map((userId, i) => {
+        if (loads[i].entry.version !== loads[i].version) {
+          this.discarded++;
+          return undefined;
+        }
+        return this.store(userId, bundles[i], delta, { fill });
+      }));
+      return bundles;
+    } finally {
+      for (const { key, entry } of loads) {
+        if (--entry.running === 0) this.loads.delete(key);
+      }
+    }
+  }
+
+  announce(key) {
+    if (!this.publish) return;
+    try {
+      this.publish(key);
+    } catch (err) {
+      console.error(`Publishing cache update for ${key} failed:`, err);
+    }
+  }
+
+  async applyToCache(userId, apply) {
+    const key = `user:${userId}`;
+    const cached = await this.cache.get(key);
+    const next = apply ? apply(cached ? cached.data : undefined) : null;
+    // A load in flight would put back the bundle from before this change
+    this.supersede(key);
+
+    if (next) {
+      await this.store(userId, next);
+    } else {
+      await this.cache.delete(key);
+    }
+  }
+
+  // Persist queued writes in order. Failed writes are logged and their
+  // bundle is dropped so readers fall back to what Mongo actually has.
+  flush() {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = (async () => {
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.maxBatch);
+        for (const { key, persist } of batch) {
+          try {
+            await persist();
+            this.flushed++;
+            this.announce(key);
+          } catch (err) {
+            this.failed++;
+            console.error(`Write-behind flush failed for ${key}:`, err);
+            // The rest of the batch still has to be persisted
+            try {
+              await this.cache.delete(key);
+            } catch (deleteErr) {
+              console.error(`Dropping cached ${key} after failed flush failed:`, deleteErr);
+            }
+          }
+        }
+      }
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  stats() {
+    return {
+      policy: this.policy,
+      queued: this.queue.length,
+      flushed: this.flushed,
+      failed: this.failed,
+      // Loads not cached because a write overtook them
+      discarded: this.discarded,
+    };
+  }
+
+  async close() {
+    clearInterval(this.flusher);
+    await this.flush();
+  }
+}
+
+module.exports = {
+  WritePolicy,
+  POLICIES,
+};